@@ -8,8 +8,138 @@ var Selectivity = require('./selectivity-base');
 
 require('./selectivity-locale');
 
+var DEFAULT_RETRY_DELAY = 1000;
+
+/**
+ * Returns whether a failed request may succeed when it is retried.
+ */
+function isTransientError(jqXHR, textStatus) {
+
+    var status = (jqXHR ? jqXHR.status : 0);
+    return (textStatus === 'error' || textStatus === 'timeout') &&
+           (!status || status === 408 || status === 429 || status >= 500);
+}
+
+/**
+ * Removes a request from the requests that are still in flight for the given Selectivity instance.
+ */
+function removePendingRequest(selectivity, request) {
+
+    var index = selectivity._pendingRequests.indexOf(request);
+    if (index > -1) {
+        selectivity._pendingRequests.splice(index, 1);
+    }
+}
+
+/**
+ * Transport for the ajax module that performs requests using the Fetch API instead of $.ajax().
+ * Responses are parsed as JSON. To use it, set the 'transport' property of the ajax options to
+ * Selectivity.fetchTransport.
+ *
+ * @param options Options object containing the following properties:
+ *                error - Callback invoked when the request fails. Receives three arguments: the
+ *                        request object, the text status ('error', 'abort', 'parsererror' or
+ *                        'unsupported') and the HTTP status text or the error that was thrown.
+ *                        The text status is 'unsupported' if the Fetch API is not available, and
+ *                        'parsererror' if the response cannot be parsed or processing it throws
+ *                        an exception.
+ *                fetch - Optional fetch() implementation to use instead of window.fetch().
+ *                fetchOptions - Optional object with additional options to pass to fetch(), such
+ *                               as 'credentials' or 'mode'.
+ *                headers - Optional object with additional HTTP headers to send.
+ *                success - Callback invoked when the request succeeds. Receives three arguments:
+ *                          the parsed JSON data, the text status ('success') and the request
+ *                          object.
+ *                type - Optional HTTP method to use (default: 'GET').
+ *                url - The URL to request.
+ *
+ * @return The request object. This object has an abort() method for aborting the request, and
+ *         'status' and 'statusText' properties which are set once the response is received.
+ */
+Selectivity.fetchTransport = function(options) {
+
+    var global = (typeof window !== 'undefined' ? window : {});
+    var fetch = options.fetch || global.fetch;
+    var controller = (global.AbortController ? new global.AbortController() : null);
+
+    var aborted = false;
+    var request = {
+        abort: function() {
+            if (!aborted) {
+                aborted = true;
+                if (controller) {
+                    controller.abort();
+                }
+                options.error(request, 'abort', 'abort');
+            }
+        },
+        status: 0,
+        statusText: ''
+    };
+
+    function fail(textStatus, errorThrown) {
+        if (!aborted) {
+            options.error(request, textStatus, errorThrown);
+        }
+    }
+
+    var init = $.extend({
+        headers: $.extend({ Accept: 'application/json' }, options.headers),
+        method: options.type || 'GET'
+    }, options.fetchOptions);
+    if (controller) {
+        init.signal = controller.signal;
+    }
+
+    if (!fetch) {
+        fail('unsupported', new Error('The Fetch API is not supported by this browser'));
+        return request;
+    }
+
+    fetch(options.url, init).then(function(response) {
+        if (aborted) {
+            return;
+        }
+
+        request.status = response.status;
+        request.statusText = response.statusText;
+        if (response.ok) {
+            response.json().then(function(data) {
+                if (!aborted) {
+                    options.success(data, 'success', request);
+                }
+            })['catch'](function(error) {
+                // either the response is not valid JSON, or the success callback threw, for
+                // instance while processing the results
+                fail('parsererror', error);
+            });
+        } else {
+            fail('error', response.statusText);
+        }
+    }, function(error) {
+        fail('error', error);
+    });
+
+    return request;
+};
+
 /**
  * Option listener that implements a convenience query function for performing AJAX requests.
+ *
+ * If the query is aborted (see the async module), the pending request is aborted as well. If the
+ * quietMillis option is used, requests for queries that are superseded or aborted while waiting
+ * for the quiet period to end are never sent.
+ *
+ * Requests that fail because of network errors, timeouts or server errors can be retried
+ * automatically by setting the 'retries' property of the ajax options to the maximum number of
+ * retries. The delay before the first retry is given by the 'retryDelay' property (default: 1000
+ * milliseconds) and is doubled for every following retry. The ajax error callback and formatError()
+ * are only invoked once no more retries are left, after which the user is offered an action to
+ * retry the query manually.
+ *
+ * Every request keeps track of its own retries. When the dropdown is closed or the Selectivity
+ * instance is destroyed, all requests that are still in flight are aborted, so their responses are
+ * discarded and any pending retries are cancelled.
  */
 Selectivity.OptionListeners.unshift(function(selectivity, options) {
 
@@ -20,11 +150,18 @@ Selectivity.OptionListeners.unshift(function(selectivity, options) {
         var params = ajax.params;
         var processItem = ajax.processItem || function(item) { return item; };
         var quietMillis = ajax.quietMillis || 0;
+        var retries = ajax.retries || 0;
+        var retryDelay = ajax.retryDelay || DEFAULT_RETRY_DELAY;
         var resultsCb = ajax.results || function(data) { return { results: data, more: false }; };
         var transport = ajax.transport || $.ajax;
 
+        var sendRequest = function(request, requestOptions) {
+            if (!request.aborted) {
+                request.jqXHR = transport(requestOptions);
+            }
+        };
         if (quietMillis) {
-            transport = debounce(transport, quietMillis);
+            sendRequest = debounce(sendRequest, quietMillis);
         }
 
         options.query = function(queryOptions) {
@@ -35,7 +172,11 @@ Selectivity.OptionListeners.unshift(function(selectivity, options) {
                     Selectivity.Locale.needMoreCharacters(minimumInputLength - term.length)
                 );
             } else {
-                selectivity.dropdown.showLoading();
+                if (!offset) {
+                    // when loading more results, the dropdown already shows a loading indicator
+                    // below the current results
+                    selectivity.dropdown.showLoading();
+                }
 
                 var url = (ajax.url instanceof Function ? ajax.url() : ajax.url);
                 if (params) {
@@ -45,9 +186,36 @@ Selectivity.OptionListeners.unshift(function(selectivity, options) {
                 var success = ajax.success;
                 var error = ajax.error;
 
-                transport($.extend({}, ajax, {
+                var request = {
+                    abort: function() {
+                        if (!request.aborted) {
+                            request.aborted = true;
+                            clearTimeout(request.retryTimeout);
+                            removePendingRequest(selectivity, request);
+                            if (request.jqXHR && request.jqXHR.abort) {
+                                request.jqXHR.abort();
+                            }
+                        }
+                    },
+                    aborted: false,
+                    jqXHR: null,
+                    numRetries: 0,
+                    retryTimeout: 0
+                };
+                selectivity._pendingRequests.push(request);
+                if (queryOptions.onAbort) {
+                    queryOptions.onAbort(request.abort);
+                }
+
+                var requestOptions = $.extend({}, ajax, {
                     url: url,
                     success: function(data, textStatus, jqXHR) {
+                        if (request.aborted) {
+                            return;
+                        }
+
+                        removePendingRequest(selectivity, request);
+
                         if (success) {
                             success(data, textStatus, jqXHR);
                         }
@@ -57,16 +225,34 @@ Selectivity.OptionListeners.unshift(function(selectivity, options) {
                         queryOptions.callback(results);
                     },
                     error: function(jqXHR, textStatus, errorThrown) {
+                        if (request.aborted) {
+                            return;
+                        }
+
+                        if (request.numRetries < retries &&
+                            isTransientError(jqXHR, textStatus)) {
+                            var delay = retryDelay * Math.pow(2, request.numRetries);
+                            request.numRetries++;
+                            request.retryTimeout = setTimeout(function() {
+                                request.jqXHR = transport(requestOptions);
+                            }, delay);
+                            return;
+                        }
+
+                        removePendingRequest(selectivity, request);
+
                         if (error) {
                             error(jqXHR, textStatus, errorThrown);
                         }
 
                         queryOptions.error(
                             formatError(term, jqXHR, textStatus, errorThrown),
-                            { escape: false }
+                            { escape: false, retryable: true }
                         );
                     }
-                }));
+                });
+
+                sendRequest(request, requestOptions);
             }
         };
     }
@@ -2,32 +2,67 @@
 
 var Selectivity = require('./selectivity-base');
 
-var latestQueryNum = 0;
+/**
+ * Aborts the query that is still pending for the given Selectivity instance, if any. The callbacks
+ * of the aborted query are discarded and its abort handlers are invoked.
+ *
+ * @param selectivity The Selectivity instance.
+ */
+Selectivity.abortPendingQuery = function(selectivity) {
+
+    var pendingQuery = selectivity._pendingQuery;
+    if (pendingQuery) {
+        selectivity._pendingQuery = null;
+
+        pendingQuery.aborted = true;
+        pendingQuery.abortHandlers.forEach(function(handler) {
+            handler();
+        });
+    }
+};
 
 /**
- * Option listener that will discard any callbacks from the query function if another query has
- * been called afterwards. This prevents responses from remote sources arriving out-of-order.
+ * Option listener that will abort any pending query when another query is called for the same
+ * Selectivity instance, and discard any callbacks from the aborted query. This prevents responses
+ * from remote sources arriving out-of-order.
+ *
+ * In addition to the regular options, the query function receives the following property:
+ * onAbort - Function which can be called by the query function to register a handler that is
+ *           invoked when the query is aborted. This can be used to cancel any pending request, for
+ *           instance by calling abort() on the jqXHR object. If the query has already been aborted
+ *           by the time the handler is registered, the handler is invoked immediately.
  */
 Selectivity.OptionListeners.push(function(selectivity, options) {
 
     var query = options.query;
     if (query && !query._async) {
         options.query = function(queryOptions) {
-            latestQueryNum++;
-            var queryNum = latestQueryNum;
+            Selectivity.abortPendingQuery(selectivity);
+
+            var pendingQuery = { aborted: false, abortHandlers: [] };
+            selectivity._pendingQuery = pendingQuery;
 
             var callback = queryOptions.callback;
             var error = queryOptions.error;
             queryOptions.callback = function() {
-                if (queryNum === latestQueryNum) {
+                if (!pendingQuery.aborted) {
+                    selectivity._pendingQuery = null;
                     callback.apply(null, arguments);
                 }
             };
             queryOptions.error = function() {
-                if (queryNum === latestQueryNum) {
+                if (!pendingQuery.aborted) {
+                    selectivity._pendingQuery = null;
                     error.apply(null, arguments);
                 }
             };
+            queryOptions.onAbort = function(handler) {
+                if (pendingQuery.aborted) {
+                    handler();
+                } else {
+                    pendingQuery.abortHandlers.push(handler);
+                }
+            };
             query(queryOptions);
         };
         options.query._async = true;
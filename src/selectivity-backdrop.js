@@ -31,7 +31,9 @@ $.extend(SelectivityDropdown.prototype, {
         } else {
             $backdrop = $('<div>').addClass('selectivity-backdrop');
 
-            $('body').append($backdrop);
+            // the backdrop is added to the same container as the dropdown, so that it ends up in
+            // the same stacking context and the dropdown is always shown on top of it
+            $(this.selectivity.options.dropdownParent || 'body').append($backdrop);
         }
 
         $backdrop.on('click', this.close.bind(this));
@@ -21,6 +21,7 @@ var EventDelegator = require('./event-delegator');
  *                multiple - Boolean determining whether multiple items may be selected
  *                           (default: false). If true, a MultipleSelectivity instance is created,
  *                           otherwise a SingleSelectivity instance is created.
+ *                Any additional arguments are passed to the given method as well.
  *
  * @return If the given method returns a value, this method returns the value of that method
  *         executed on the first element in the set of matched elements.
@@ -29,6 +30,7 @@ function selectivity(methodName, options) {
     /* jshint validthis: true */
 
     var result;
+    var methodArgs = Array.prototype.slice.call(arguments, 1);
 
     this.each(function() {
         var instance = this.selectivity;
@@ -37,11 +39,12 @@ function selectivity(methodName, options) {
             if ($.type(methodName) !== 'string') {
                 options = methodName;
                 methodName = 'setOptions';
+                methodArgs = [options];
             }
 
             if ($.type(instance[methodName]) === 'function') {
                 if (result === undefined) {
-                    result = instance[methodName].call(instance, options);
+                    result = instance[methodName].apply(instance, methodArgs);
                 }
             } else {
                 throw new Error('Unknown method: ' + methodName);
@@ -163,6 +166,21 @@ function Selectivity(options) {
      */
     this.results = [];
 
+    /**
+     * Index for searching among the local items.
+     *
+     * Only set if items are given and the search-index module is included.
+     */
+    this.searchIndex = null;
+
+    /**
+     * Boolean whether releasing the key that is pressed in the search input should not trigger a
+     * search, because the key was handled already, for instance by a search input listener.
+     *
+     * It is reset when the key is released.
+     */
+    this.searchSuppressed = false;
+
     /**
      * Array of search input listeners.
      *
@@ -192,6 +210,11 @@ function Selectivity(options) {
 
     this._$searchInputs = [];
 
+    // requests of the ajax module that are still in flight, either waiting for a response or for
+    // an automatic retry, which are aborted when the dropdown is closed or the instance is
+    // destroyed
+    this._pendingRequests = [];
+
     this.$el.on('selectivity-close', this._closed.bind(this));
 
     EventDelegator.call(this);
@@ -210,6 +233,24 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
         return this.$el.find(selector);
     },
 
+    /**
+     * Announces a message to users of assistive technology.
+     *
+     * The message is written to a polite ARIA live region owned by this instance, which is created
+     * using the 'liveRegion' template when the first message is announced.
+     *
+     * @param message The message to announce. Be aware that the message is added straight to the
+     *                HTML output, so any non-safe strings should be escaped.
+     */
+    announce: function(message) {
+
+        var $liveRegion = this.$('.selectivity-live-region');
+        if (!$liveRegion.length) {
+            $liveRegion = $(this.template('liveRegion')).appendTo(this.$el);
+        }
+        $liveRegion.html(message);
+    },
+
     /**
      * Closes the dropdown.
      */
@@ -220,6 +261,64 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
         }
     },
 
+    /**
+     * Creates a new item from a search term using the createItem function passed through the
+     * options, and selects it.
+     *
+     * While the item is being created, a loading indicator is shown in the dropdown. If the
+     * item cannot be created, an error is shown in its place. This includes the case where the
+     * createItem function throws, or where selecting the created item throws.
+     *
+     * @param term The search term to create the item from.
+     */
+    createItem: function(term) {
+
+        var self = this;
+        function select(item) {
+            if (item) {
+                item = Selectivity.processItem(item);
+
+                var options = { id: item.id, item: item };
+                if (self.triggerEvent('selectivity-selecting', options)) {
+                    self.triggerEvent('selectivity-selected', options);
+                }
+            } else {
+                showError();
+            }
+        }
+        function showError(error) {
+            if ($.type(error) === 'string') {
+                self._showError(error, { add: true });
+            } else if (self.dropdown) {
+                // the locale module is pulled in by the dropdown
+                self._showError(Selectivity.Locale.createItemError(term),
+                                { add: true, escape: false });
+            }
+        }
+
+        function trySelect(item) {
+            try {
+                select(item);
+            } catch (error) {
+                showError(error);
+            }
+        }
+
+        var result;
+        try {
+            result = this.options.createItem(term);
+        } catch (error) {
+            showError(error);
+            return;
+        }
+
+        if (result && $.type(result.then) === 'function') {
+            result.then(trySelect, showError);
+        } else {
+            trySelect(result);
+        }
+    },
+
     /**
      * Sets or gets the selection data.
      *
@@ -258,6 +357,8 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
      */
     destroy: function() {
 
+        this._abortPendingRequests();
+
         this.undelegateEvents();
 
         var $el = this.$el;
@@ -328,12 +429,15 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
         this.$searchInput = $input;
 
         this.searchInputListeners.forEach(function(listener) {
-            listener(this, $input);
+            listener(this, $input, options);
         }.bind(this));
 
         if (!options || options.noSearch !== false) {
             $input.on('keyup', function(event) {
-                if (!event.isDefaultPrevented()) {
+                var searchSuppressed = this.searchSuppressed;
+                this.searchSuppressed = false;
+
+                if (!searchSuppressed && !event.isDefaultPrevented()) {
                     this.search();
                 }
             }.bind(this));
@@ -359,7 +463,10 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
                     throw new Error('callback must be passed a response object');
                 }
             }.bind(this),
-            error: this._addResults.bind(this, []),
+            error: function(error, errorOptions) {
+                this._showError(error, $.extend({ add: true }, errorOptions),
+                                this.loadMore.bind(this));
+            }.bind(this),
             offset: this.results.length,
             selectivity: this,
             term: this.term
@@ -439,13 +546,7 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
         }
 
         if (self.items) {
-            term = Selectivity.transformText(term);
-            var matcher = self.matcher;
-            setResults(self.items.map(function(item) {
-                return matcher(item, term);
-            }).filter(function(item) {
-                return !!item;
-            }));
+            setResults(self._searchItems(term));
         } else if (self.options.query) {
             self.options.query({
                 callback: function(response) {
@@ -458,7 +559,9 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
                         throw new Error('callback must be passed a response object');
                     }
                 },
-                error: self._showError.bind(self),
+                error: function(error, errorOptions) {
+                    self._showError(error, errorOptions, self.search.bind(self, term));
+                },
                 offset: 0,
                 selectivity: self,
                 term: term
@@ -475,7 +578,34 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
      *                closeOnSelect - Set to false to keep the dropdown open after the user has
      *                                selected an item. This is useful if you want to allow the user
      *                                to quickly select multiple items. The default value is true.
+     *                createItem - Function to create a new item from the search term. If set, the
+     *                             dropdown shows an entry to add the term as a new item whenever
+     *                             none of the results matches the term exactly. When the user
+     *                             selects the entry, the function is called with the search term as
+     *                             argument and should return the new item. Creating the item may
+     *                             also happen asynchronously, in which case the function should
+     *                             return a promise for the item instead. If the function returns
+     *                             null or the promise is rejected, an error is shown in the
+     *                             dropdown. If the promise is rejected with a string, that string
+     *                             is used as the error message.
+     *                createItemPosition - Either 'top' or 'bottom' to indicate where the entry to
+     *                                     add a new item is shown among the results. If 'top', the
+     *                                     entry is highlighted so that the user can add the item by
+     *                                     pressing Enter. The default is 'top'.
      *                dropdown - Custom dropdown implementation to use for this instance.
+     *                dropdownParent - Element or selector of the element to which the dropdown and
+     *                                 its submenus are appended. By default, the dropdown is
+     *                                 inserted right after the Selectivity element. Use this to
+     *                                 keep the dropdown from being clipped inside modals or
+     *                                 containers with hidden overflow.
+     *                fullScreenDropdown - Set to true to open the dropdown and its submenus as
+     *                                     full-screen sheets, with a header containing the search
+     *                                     input, a close button and, for inputs that allow
+     *                                     multiple selection, a 'Done' button. Set to 'touch' to
+     *                                     only do so on devices with touch input. In full-screen
+     *                                     mode, inputs that allow multiple selection keep the sheet
+     *                                     open after selecting an item, unless closeOnSelect is
+     *                                     explicitly set to true. The default is false.
      *                initSelection - Function to map values by ID to selection data. This function
      *                                receives two arguments, 'value' and 'callback'. The value is
      *                                the current value of the selection, which is an ID or an array
@@ -491,6 +621,9 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
      *                        query function should be provided to fetch remote data.
      *                matcher - Function to determine whether text matches a given search term. Note
      *                          this function is only used if you have specified an array of items.
+     *                          When the search-index module is included, the default matcher is
+     *                          replaced with a lookup in the search index, which gives the same
+     *                          results but is a lot faster for large arrays of items.
      *                          Receives two arguments:
      *                          item - The item that should match the search term.
      *                          term - The search term. Note that for performance reasons, the term
@@ -501,15 +634,23 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
      *                          those itself (be sure to only return the filtered array of children
      *                          in the returned item and not to modify the children of the item
      *                          argument).
+     *                          If the fuzzy module is included, this option may also be set to
+     *                          'fuzzy' to use fuzzy matching with the best matches sorted first.
      *                placeholder - Placeholder text to display when the element has no focus and
      *                              no selected items.
      *                positionDropdown - Function to position the dropdown. Receives two arguments:
      *                                   $dropdownEl - The element to be positioned.
      *                                   $selectEl - The element of the Selectivity instance, that
      *                                               you can position the dropdown to.
+     *                                   The function may return the chosen placement, such as
+     *                                   'above' or 'below', to have the dropdown element marked
+     *                                   with a class like 'placement-above'. The function is
+     *                                   called again when the window is resized or an element
+     *                                   containing the Selectivity element is scrolled.
      *                                   The default implementation positions the dropdown element
-     *                                   under the Selectivity's element and gives it the same
-     *                                   width.
+     *                                   under the Selectivity's element, or above it if there is
+     *                                   not enough space below but more space above, gives it the
+     *                                   same width and keeps it inside the viewport horizontally.
      *                query - Function to use for querying items. Receives a single object as
      *                        argument with the following properties:
      *                        callback - Callback to invoke when the results are available. This
@@ -520,6 +661,12 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
      *                                          be fetched by the user through pagination.
      *                                   results - Array of result items. The format for the result
      *                                             items is the same as for passing local items.
+     *                        error - Callback to invoke when the query fails. Receives two
+     *                                arguments: the error message to display and an optional
+     *                                options object which may contain the following properties:
+     *                                escape - Set to false to disable HTML-escaping of the message.
+     *                                retryable - Set to true to offer the user an action to retry
+     *                                            the query.
      *                        offset - This property is only used for pagination and indicates how
      *                                 many results should be skipped when returning more results.
      *                        selectivity - The Selectivity instance the query function is used on.
@@ -529,12 +676,25 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
      *                readOnly - If true, disables any modification of the input.
      *                removeOnly - If true, disables any modification of the input except removing
      *                             of selected items.
+     *                sortResults - Function to sort the results of a search among the local items.
+     *                              Note this function is only used if you have specified an array
+     *                              of items. Receives two arguments:
+     *                              results - Array of items matching the search term.
+     *                              term - The search term, already processed using
+     *                                     Selectivity.transformText().
+     *                              The method should return the sorted array of results.
      *                searchInputListeners - Array of search input listeners. By default, the global
      *                                       array Selectivity.SearchInputListeners is used.
      *                showDropdown - Set to false if you don't want to use any dropdown (you can
      *                               still open it programmatically using open()).
      *                templates - Object with instance-specific templates to override the global
      *                            templates assigned to Selectivity.Templates.
+     *                virtualScroll - Set to true to only render the result items that are visible
+     *                                in the dropdown, plus a small buffer. This keeps the dropdown
+     *                                responsive with very large numbers of results. Requires every
+     *                                result item and label to be rendered with the same height.
+     *                virtualScrollRowHeight - Height in pixels of a single result item or label
+     *                                         when virtualScroll is enabled. The default is 30.
      */
     setOptions: function(options) {
 
@@ -548,7 +708,11 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
 
         var allowedTypes = $.extend({
             closeOnSelect: 'boolean',
+            createItem: 'function|null',
+            createItemPosition: 'string',
             dropdown: 'function|null',
+            dropdownParent: 'string|object|null',
+            fullScreenDropdown: 'boolean|string',
             initSelection: 'function|null',
             matcher: 'function|null',
             placeholder: 'string',
@@ -556,7 +720,10 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
             query: 'function|null',
             readOnly: 'boolean',
             removeOnly: 'boolean',
-            searchInputListeners: 'array'
+            searchInputListeners: 'array',
+            sortResults: 'function|null',
+            virtualScroll: 'boolean',
+            virtualScrollRowHeight: 'number'
         }, options.allowedTypes);
 
         $.each(options, function(key, value) {
@@ -567,7 +734,17 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
 
             switch (key) {
             case 'items':
+                if (this.searchIndex && value === this.searchIndex.items) {
+                    // the items are processed and indexed already, as is the case when the items
+                    // of a parent menu are restored after closing a submenu
+                    this.items = value;
+                    break;
+                }
+
                 this.items = (value === null ? value : Selectivity.processItems(value));
+
+                var SearchIndex = Selectivity.SearchIndex;
+                this.searchIndex = (this.items && SearchIndex ? new SearchIndex(this.items) : null);
                 break;
 
             case 'matcher':
@@ -713,6 +890,17 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
         }
     },
 
+    /**
+     * @private
+     */
+    _abortPendingRequests: function() {
+
+        // aborted requests remove themselves from the pending requests
+        this._pendingRequests.slice().forEach(function(request) {
+            request.abort();
+        });
+    },
+
     /**
      * @private
      */
@@ -733,6 +921,8 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
      */
     _closed: function() {
 
+        this._abortPendingRequests();
+
         this.dropdown = null;
     },
 
@@ -772,6 +962,28 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
         }
     },
 
+    /**
+     * @private
+     */
+    _searchItems: function(term) {
+
+        var transformedTerm = Selectivity.transformText(term);
+        var matcher = this.matcher;
+        var results;
+        if (this.searchIndex && matcher === Selectivity.matcher) {
+            results = this.searchIndex.search(transformedTerm);
+        } else {
+            results = this.items.map(function(item) {
+                return matcher(item, transformedTerm);
+            }).filter(function(item) {
+                return !!item;
+            });
+        }
+
+        var sortResults = this.options.sortResults;
+        return (sortResults ? sortResults(results, transformedTerm) : results);
+    },
+
     /**
      * @private
      */
@@ -787,12 +999,18 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
     /**
      * @private
      */
-    _showError: function(error, options) {
+    _showError: function(error, options, retry) {
+
+        options = options || {};
 
-        this.results = [];
+        if (!options.add) {
+            this.results = [];
+        }
 
         if (this.dropdown) {
-            this.dropdown.showError(error, options);
+            this.dropdown.showError(error, $.extend({}, options, {
+                retry: (options.retryable ? retry : null)
+            }));
         }
     }
 
@@ -805,6 +1023,13 @@ $.extend(Selectivity.prototype, EventDelegator.prototype, {
  */
 Selectivity.Dropdown = null;
 
+/**
+ * Search index class to use for searching among local items.
+ *
+ * The default implementation of a search index is defined in the selectivity-search-index module.
+ */
+Selectivity.SearchIndex = null;
+
 /**
  * Mapping of input types.
  */
@@ -826,10 +1051,11 @@ Selectivity.OptionListeners = [];
  * Array of search input listeners.
  *
  * Search input listeners are invoked when initSearchInput() is called (typically right after the
- * search input is created). Every listener receives two arguments:
+ * search input is created). Every listener receives three arguments:
  *
  * selectivity - The Selectivity instance.
  * $input - jQuery container with the search input.
+ * options - The options object passed to initSearchInput(), if any.
  *
  * An example of a search input listener is the selectivity-keyboard module.
  */
@@ -874,6 +1100,45 @@ Selectivity.findIndexById = function(array, id) {
     return -1;
 };
 
+/**
+ * Finds the ranges in a text that match a search term. Matching is performed after transforming
+ * both the text and the term using transformText(), but the returned ranges refer to positions in
+ * the original text, so that "zur" will match the first three characters of "Zürich" when the
+ * diacritics module is included.
+ *
+ * @param text The text in which to find the matches.
+ * @param term The search term.
+ *
+ * @return Array of non-overlapping ranges, in the order in which they appear in the text. Every
+ *         range is an object with 'start' and 'end' properties, where 'start' is the index of the
+ *         first matching character and 'end' is the index after the last matching character.
+ */
+Selectivity.findMatchRanges = function(text, term) {
+
+    var ranges = [];
+    term = Selectivity.transformText(term || '');
+    if (term) {
+        // transform the text one character at a time, so that we can map every character of the
+        // transformed text back to the character in the original text it was derived from
+        var transformedText = '';
+        var offsets = [];
+        for (var i = 0, length = text.length; i < length; i++) {
+            var transformedCharacter = Selectivity.transformText(text[i]);
+            transformedText += transformedCharacter;
+            for (var j = 0; j < transformedCharacter.length; j++) {
+                offsets.push(i);
+            }
+        }
+
+        var index = transformedText.indexOf(term);
+        while (index > -1) {
+            ranges.push({ start: offsets[index], end: offsets[index + term.length - 1] + 1 });
+            index = transformedText.indexOf(term, index + term.length);
+        }
+    }
+    return ranges;
+};
+
 /**
  * Finds an item in the given array with the specified ID. Items in the array may contain 'children'
  * properties which in turn will be searched for the item.
@@ -899,6 +1164,30 @@ Selectivity.findNestedById = /* hasModule('submenu'): null && */function(array,
     return null;
 };
 
+/**
+ * Returns all the items that can be selected among the given items and their children, in the
+ * order in which they are displayed. Disabled items and items without ID, such as group headers,
+ * are skipped.
+ *
+ * @param items Array of items. Items may contain 'children' properties which in turn will be
+ *              searched for selectable items.
+ *
+ * @return Array of selectable items.
+ */
+Selectivity.getSelectableItems = function(items) {
+
+    var selectable = [];
+    items.forEach(function(item) {
+        if (item.id && !item.disabled) {
+            selectable.push(item);
+        }
+        if (item.children) {
+            selectable = selectable.concat(Selectivity.getSelectableItems(item.children));
+        }
+    });
+    return selectable;
+};
+
 /**
  * Utility method for inheriting another class.
  *
@@ -977,7 +1266,8 @@ Selectivity.matcher = function(item, term) {
  *
  * @param item The item to process, either as object containing 'id' and 'text' properties or just
  *             as ID. The 'id' property of an item is optional if it has a 'children' property
- *             containing an array of items.
+ *             containing an array of items. Items may also have a 'disabled' property which can be
+ *             set to true to show the item in the results without allowing the user to select it.
  *
  * @return Object containing 'id' and 'text' properties.
  */
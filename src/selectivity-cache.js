@@ -0,0 +1,238 @@
+'use strict';
+
+var $ = require('jquery');
+
+var Selectivity = require('./selectivity-base');
+
+var DEFAULT_MAX_SIZE = 50;
+var DEFAULT_TTL = 5 * 60 * 1000;
+
+var queryCount = 0;
+
+/**
+ * Query Cache Constructor.
+ *
+ * The cache stores the responses of a query function per search term. All the pages fetched for a
+ * term are grouped together and expire together, so that a cached page is never combined with
+ * pages that were fetched at a later time.
+ *
+ * @param options Options object. May contain the following properties:
+ *                maxSize - Maximum number of search terms for which the responses are cached.
+ *                ttl - Time in milliseconds after which the responses for a term expire.
+ */
+function QueryCache(options) {
+
+    /**
+     * Maximum number of search terms for which the responses are cached. When more terms are
+     * added, the least recently used term is evicted.
+     */
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+
+    /**
+     * Time in milliseconds after which the responses for a term expire.
+     */
+    this.ttl = options.ttl || DEFAULT_TTL;
+
+    /**
+     * Sequence number of the latest query, used to discard responses to earlier queries.
+     */
+    this.queryNum = 0;
+
+    this._entries = {};
+
+    // keys of the cached entries, ordered from least to most recently used
+    this._keys = [];
+}
+
+/**
+ * Methods.
+ */
+$.extend(QueryCache.prototype, {
+
+    /**
+     * Removes all responses from the cache.
+     */
+    clear: function() {
+
+        this._entries = {};
+        this._keys = [];
+    },
+
+    /**
+     * Returns a cached response.
+     *
+     * @param key Key identifying the query function and the search term.
+     * @param offset Offset of the requested page.
+     *
+     * @return The cached response, or null if no (unexpired) response is cached.
+     */
+    get: function(key, offset) {
+
+        var entry = this._getEntry(key);
+        if (entry && entry.pages[offset]) {
+            this._touch(key);
+            return entry.pages[offset];
+        } else {
+            return null;
+        }
+    },
+
+    /**
+     * Adds a response to the cache.
+     *
+     * @param key Key identifying the query function and the search term.
+     * @param offset Offset of the page the response contains.
+     * @param response Response as passed to the callback of the query function.
+     * @param queryNum Sequence number of the query that returned the response. The response is
+     *                 not added if a response to a later query has been added for the same key
+     *                 already.
+     */
+    set: function(key, offset, response, queryNum) {
+
+        var entry = this._getEntry(key);
+        if (entry && entry.queryNum > queryNum) {
+            return;
+        }
+
+        if (!entry || offset === 0) {
+            // the first page starts a new set of pages, any other pages for the same term have to
+            // be fetched again so they are consistent with the first page
+            entry = { pages: {}, timestamp: Date.now() };
+            this._entries[key] = entry;
+        }
+
+        entry.pages[offset] = response;
+        entry.queryNum = queryNum;
+
+        this._touch(key);
+
+        while (this._keys.length > this.maxSize) {
+            delete this._entries[this._keys.shift()];
+        }
+    },
+
+    /**
+     * @private
+     */
+    _getEntry: function(key) {
+
+        var entry = this._entries[key];
+        if (entry && Date.now() - entry.timestamp > this.ttl) {
+            delete this._entries[key];
+            this._keys.splice(this._keys.indexOf(key), 1);
+            entry = null;
+        }
+        return entry || null;
+    },
+
+    /**
+     * @private
+     */
+    _touch: function(key) {
+
+        var index = this._keys.indexOf(key);
+        if (index > -1) {
+            this._keys.splice(index, 1);
+        }
+        this._keys.push(key);
+    }
+
+});
+
+/**
+ * Methods.
+ */
+$.extend(Selectivity.prototype, {
+
+    /**
+     * Clears all responses cached from the query function. The next search or request for more
+     * results will call the query function again.
+     */
+    clearCache: function() {
+
+        if (this.queryCache) {
+            this.queryCache.clear();
+        }
+    }
+
+});
+
+/**
+ * Option listener that caches the responses of the query function.
+ *
+ * Because responses are returned from the cache immediately, the cache also discards any
+ * responses from the query function if another query has been issued since, regardless of whether
+ * the async module is used.
+ *
+ * @param options Options object. In addition to the options supported in the base
+ *                implementation, this may contain the following property:
+ *                cache - Set to true to cache the responses of the query function, so that
+ *                        searching for the same term again or reopening the dropdown does not call
+ *                        the query function again. Responses are cached per search term and
+ *                        offset, so requests for more results are cached as well. Instead of true,
+ *                        you may also pass an object with the following properties:
+ *                        maxSize - Maximum number of search terms for which responses are cached
+ *                                  (default: 50).
+ *                        ttl - Time in milliseconds after which cached responses expire
+ *                              (default: 5 minutes).
+ *                        The cache can be cleared by calling the clearCache() method.
+ */
+Selectivity.OptionListeners.push(function(selectivity, options) {
+
+    var cache = options.cache;
+    if (cache !== undefined) {
+        options.allowedTypes = $.extend({ cache: 'boolean|object|null' }, options.allowedTypes);
+
+        selectivity.queryCache = (cache ? new QueryCache(cache === true ? {} : cache) : null);
+    }
+
+    var query = options.query;
+    if (query && !query._cached) {
+        queryCount++;
+        var queryId = queryCount;
+
+        options.query = function(queryOptions) {
+            var queryCache = selectivity.queryCache;
+            if (!queryCache) {
+                query(queryOptions);
+                return;
+            }
+
+            queryCache.queryNum++;
+            var queryNum = queryCache.queryNum;
+
+            var key = queryId + ':' + queryOptions.term;
+            var offset = queryOptions.offset;
+            var response = queryCache.get(key, offset);
+            if (response) {
+                queryOptions.callback(response);
+
+                // any query that is still pending should not show its results after the cached
+                // response. this is done after invoking the callback, which clears the pending
+                // query first if the async module wraps this query function
+                if (Selectivity.abortPendingQuery) {
+                    Selectivity.abortPendingQuery(selectivity);
+                }
+                return;
+            }
+
+            var callback = queryOptions.callback;
+            var error = queryOptions.error;
+            queryOptions.callback = function(response) {
+                if (response && response.results) {
+                    queryCache.set(key, offset, response, queryNum);
+                }
+                if (queryNum === queryCache.queryNum) {
+                    callback(response);
+                }
+            };
+            queryOptions.error = function() {
+                if (queryNum === queryCache.queryNum) {
+                    error.apply(null, arguments);
+                }
+            };
+            query(queryOptions);
+        };
+        options.query._cached = true;
+    }
+});
@@ -3,25 +3,192 @@
 var $ = require('jquery');
 
 var debounce = require('./lodash/debounce');
+var escape = require('./lodash/escape');
 
 var EventDelegator = require('./event-delegator');
 
 var Selectivity = require('./selectivity-base');
 
+require('./selectivity-locale');
+
+var DEFAULT_VIRTUAL_SCROLL_ROW_HEIGHT = 30;
+var VIRTUAL_SCROLL_BUFFER = 10;
+
+var PLACEMENT_CLASSES = 'placement-above placement-below placement-left placement-right';
+
+var dropdownCount = 0;
+
+/**
+ * Returns whether any of the items has a text exactly matching the given term. The term should
+ * already be processed using Selectivity.transformText().
+ */
+function hasExactMatch(items, term) {
+
+    return items.some(function(item) {
+        return (item.id && Selectivity.transformText(item.text) === term) ||
+               (item.children ? hasExactMatch(item.children, term) : false);
+    });
+}
+
+/**
+ * Flattens a tree of result items into an array of rows, as they are displayed in the dropdown.
+ * Every row is an object with an 'index' property, an 'item' property and a 'parents' property
+ * containing the array of items the item is nested in.
+ */
+function flattenRows(items, parents, rows) {
+
+    parents = parents || [];
+    rows = rows || [];
+
+    items.forEach(function(item) {
+        rows.push({ index: rows.length, item: item, parents: parents });
+        if (item.children) {
+            flattenRows(item.children, parents.concat(item), rows);
+        }
+    });
+    return rows;
+}
+
+function getOuterHeight($el) {
+
+    return ($el.outerHeight ? $el.outerHeight() : $el.height());
+}
+
+function getOuterWidth($el) {
+
+    return ($el.outerWidth ? $el.outerWidth() : $el.width());
+}
+
+/**
+ * Returns the area of the viewport for the given document, in viewport coordinates.
+ */
+function getViewport(doc) {
+
+    var win = doc.defaultView;
+    return { bottom: win.innerHeight, left: 0, right: win.innerWidth, top: 0 };
+}
+
+/**
+ * Returns the area of the viewport in which content next to the given element remains visible,
+ * in viewport coordinates. This is the viewport, reduced to the visible area of any ancestors of
+ * the element that clip their content, such as scrolling containers.
+ */
+function getVisibleArea(el) {
+
+    var doc = el.ownerDocument;
+    var area = getViewport(doc);
+    for (var parent = el.parentNode; parent && parent.nodeType === 1 && parent !== doc.body;
+         parent = parent.parentNode) {
+        if (/auto|scroll|hidden/.test($(parent).css('overflow-y'))) {
+            var rect = parent.getBoundingClientRect();
+            area.top = Math.max(area.top, rect.top);
+            area.bottom = Math.min(area.bottom, rect.bottom);
+        }
+    }
+    return area;
+}
+
+/**
+ * Returns the position of a rectangle, given in viewport coordinates, relative to the offset
+ * parent of an element. Unlike jQuery's position(), this also works if the rectangle belongs to an
+ * element with another offset parent, as is the case when the dropdownParent option is used.
+ */
+function getPositionInOffsetParent(el, rect) {
+
+    var doc = el.ownerDocument;
+    var offsetParent = el.offsetParent;
+    if (!offsetParent || offsetParent === doc.body || offsetParent === doc.documentElement) {
+        var win = doc.defaultView;
+        return { left: rect.left + win.pageXOffset, top: rect.top + win.pageYOffset };
+    } else {
+        var parentRect = offsetParent.getBoundingClientRect();
+        return {
+            left: rect.left - parentRect.left - offsetParent.clientLeft + offsetParent.scrollLeft,
+            top: rect.top - parentRect.top - offsetParent.clientTop + offsetParent.scrollTop
+        };
+    }
+}
+
+/**
+ * Default function for positioning a dropdown.
+ *
+ * The dropdown is opened below the Selectivity element, unless there is not enough space below
+ * while there is more space above, in which case it is opened above. The dropdown gets the same
+ * width as the Selectivity element and is kept inside the viewport horizontally.
+ *
+ * @return The chosen placement, either 'above' or 'below'.
+ */
+function positionDropdown($el, $selectEl) {
+
+    var width = getOuterWidth($selectEl);
+    $el.width(width);
+
+    var selectEl = $selectEl[0];
+    var selectRect = selectEl.getBoundingClientRect();
+    var visibleArea = getVisibleArea(selectEl);
+    var dropdownHeight = getOuterHeight($el);
+    var spaceAbove = selectRect.top - visibleArea.top;
+    var spaceBelow = visibleArea.bottom - selectRect.bottom;
+    var placement = (dropdownHeight > spaceBelow && spaceAbove > spaceBelow ? 'above' : 'below');
+
+    var viewport = getViewport(selectEl.ownerDocument);
+    var left = Math.max(Math.min(selectRect.left, viewport.right - width), viewport.left);
+
+    var position = getPositionInOffsetParent($el[0], selectRect);
+    $el.css({
+        left: position.left + left - selectRect.left + 'px',
+        top: position.top + (placement === 'above' ? -dropdownHeight
+                                                   : getOuterHeight($selectEl)) + 'px'
+    });
+
+    return placement;
+}
+
 /**
  * selectivity Dropdown Constructor.
  *
  * @param options Options object. Should have the following properties:
+ *                inline - Boolean whether the dropdown is embedded in the Selectivity element as a
+ *                         permanently open list, rather than shown as a popup. Inline dropdowns
+ *                         are not positioned, are not closed when clicking elsewhere or selecting
+ *                         an item and don't trigger any open or close events.
  *                selectivity - Selectivity instance to show the dropdown for.
- *                showSearchInput - Boolean whether a search input should be shown.
+ *                showSearchInput - Boolean whether a search input should be shown. When the
+ *                                  dropdown is shown as a full-screen sheet, a search input is
+ *                                  shown unless this is explicitly set to false.
  */
 function SelectivityDropdown(options) {
 
     var selectivity = options.selectivity;
 
+    var fullScreen = selectivity.options.fullScreenDropdown;
+    if (fullScreen === 'touch') {
+        fullScreen = selectivity.hasTouch;
+    }
+    fullScreen = !!fullScreen;
+    if (fullScreen && options.showSearchInput === undefined) {
+        options.showSearchInput = true;
+    }
+
+    // inputs that allow multiple selection have an array of selected items as their data
+    var multiple = $.isArray(selectivity.data());
+
+    dropdownCount++;
+    this._resultsId = 'selectivity-results-' + dropdownCount;
+    this._resultCount = 0;
+
+    // whether the last highlight event was triggered for a result item, so that listeners can be
+    // notified once no result item is highlighted anymore
+    this._resultHighlighted = false;
+
     this.$el = $(selectivity.template('dropdown', {
         dropdownCssClass: selectivity.options.dropdownCssClass,
+        fullScreen: fullScreen,
+        inline: options.inline,
+        resultsId: this._resultsId,
         searchInputPlaceholder: selectivity.options.searchInputPlaceholder,
+        showBulkActions: !!(multiple && selectivity.options.bulkActions && selectivity.items),
+        showDoneButton: fullScreen && multiple,
         showSearchInput: options.showSearchInput
     }));
 
@@ -30,6 +197,22 @@ function SelectivityDropdown(options) {
      */
     this.$results = this.$('.selectivity-results-container');
 
+    /**
+     * Boolean whether the entry for adding the search term as a new item is currently highlighted.
+     */
+    this.createItemHighlighted = false;
+
+    /**
+     * The search term for which an entry to add it as a new item is currently shown, or null if no
+     * such entry is shown.
+     */
+    this.createItemTerm = null;
+
+    /**
+     * Boolean whether the dropdown is shown as a full-screen sheet.
+     */
+    this.fullScreen = fullScreen;
+
     /**
      * Boolean indicating whether more results are available than currently displayed in the
      * dropdown.
@@ -56,6 +239,17 @@ function SelectivityDropdown(options) {
      */
     this.results = [];
 
+    /**
+     * Function to retry the failed query if the error shown in the dropdown offers to retry it,
+     * null otherwise.
+     */
+    this.retry = null;
+
+    /**
+     * Boolean whether the retry action is currently highlighted.
+     */
+    this.retryHighlighted = false;
+
     /**
      * Selectivity instance.
      */
@@ -63,31 +257,73 @@ function SelectivityDropdown(options) {
 
     this._closed = false;
 
+    this._term = '';
+
+    this._virtualScroll = !!selectivity.options.virtualScroll;
+    this._virtualRows = [];
+    this._virtualWindow = { start: 0, end: 0 };
+
+    // with checkboxes, selecting an item toggles it, which is often done for several items
+    this._checkboxes = !!(multiple && selectivity.options.checkboxes);
+    this._groups = {};
+    this._groupCount = 0;
+
+    var closeOnSelect = selectivity.options.closeOnSelect;
+    if (closeOnSelect === undefined) {
+        closeOnSelect = !(fullScreen && multiple) && !this._checkboxes;
+    }
+
     this._closeProxy = this.close.bind(this);
-    if (selectivity.options.closeOnSelect !== false) {
+    if (closeOnSelect && !options.inline) {
         selectivity.$el.on('selectivity-selecting', this._closeProxy);
     }
 
     this._lastMousePosition = {};
 
     this.addToDom();
-    this.position();
-    this.setupCloseHandler();
 
-    this._suppressMouseWheel();
+    if (!options.inline) {
+        this.position();
+        this.setupCloseHandler();
+
+        // the dropdown is repositioned when the window is resized or when any of the elements
+        // containing the Selectivity element is scrolled
+        var doc = selectivity.$el[0].ownerDocument;
+        this._resizeProxy = this.position.bind(this);
+        $(doc.defaultView).on('resize', this._resizeProxy);
+        this._scrollListener = this._documentScrolled.bind(this);
+        doc.addEventListener('scroll', this._scrollListener, true);
+
+        this._suppressMouseWheel();
+    }
 
     if (options.showSearchInput) {
         selectivity.initSearchInput(this.$('.selectivity-search-input'));
-        selectivity.focus();
+        if (!options.inline) {
+            selectivity.focus();
+        }
     }
 
+    // the input of the Selectivity element itself is expanded as well, even if the dropdown has
+    // its own search input
+    this._$combobox = selectivity.$searchInput || $();
+    if (!this.parentMenu && !options.inline) {
+        this._$combobox = this._$combobox.add(selectivity.$('[role="combobox"]'));
+    }
+    this._updateAriaAttributes();
+
     EventDelegator.call(this);
 
     this.$results.on('scroll touchmove touchend', debounce(this._scrolled.bind(this), 50));
+    if (this._virtualScroll) {
+        this.$results.on('scroll', this._renderVirtualWindow.bind(this, {}));
+    }
 
     this.showLoading();
 
-    setTimeout(this.triggerOpen.bind(this), 1);
+    if (!options.inline) {
+        setTimeout(this.triggerOpen.bind(this), 1);
+    }
 }
 
 /**
@@ -108,12 +344,19 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
      */
     addToDom: function() {
 
-        var $next;
-        var $anchor = this.selectivity.$el;
-        while (($next = $anchor.next('.selectivity-dropdown')).length) {
-            $anchor = $next;
+        var dropdownParent = this.selectivity.options.dropdownParent;
+        if (this.options.inline) {
+            this.$el.appendTo(this.selectivity.$el);
+        } else if (dropdownParent) {
+            this.$el.appendTo($(dropdownParent));
+        } else {
+            var $next;
+            var $anchor = this.selectivity.$el;
+            while (($next = $anchor.next('.selectivity-dropdown')).length) {
+                $anchor = $next;
+            }
+            this.$el.insertAfter($anchor);
         }
-        this.$el.insertAfter($anchor);
     },
 
     /**
@@ -130,11 +373,20 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
 
             this.$el.remove();
 
-            this.removeCloseHandler();
+            this._$combobox.attr('aria-expanded', 'false')
+                           .removeAttr('aria-activedescendant aria-controls');
 
             this.selectivity.$el.off('selectivity-selecting', this._closeProxy);
 
-            this.triggerClose();
+            if (!this.options.inline) {
+                this.removeCloseHandler();
+
+                var doc = this.selectivity.$el[0].ownerDocument;
+                $(doc.defaultView).off('resize', this._resizeProxy);
+                doc.removeEventListener('scroll', this._scrollListener, true);
+
+                this.triggerClose();
+            }
         }
     },
 
@@ -144,8 +396,17 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
      * Follows the same format as Backbone: http://backbonejs.org/#View-delegateEvents
      */
     events: {
+        'click .selectivity-create-item': '_createItemClicked',
+        'click .selectivity-deselect-all': '_deselectAllClicked',
+        'click .selectivity-group-select-all': '_groupSelectAllClicked',
+        'click .selectivity-group-select-none': '_groupSelectNoneClicked',
         'click .selectivity-load-more': '_loadMoreClicked',
         'click .selectivity-result-item': '_resultClicked',
+        'click .selectivity-retry': '_retryClicked',
+        'click .selectivity-select-all': '_selectAllClicked',
+        'click .selectivity-sheet-close': '_sheetCloseClicked',
+        'click .selectivity-sheet-done': '_sheetDoneClicked',
+        'mouseenter .selectivity-create-item': '_createItemHovered',
         'mouseenter .selectivity-load-more': '_loadMoreHovered',
         'mouseenter .selectivity-result-item': '_resultHovered'
     },
@@ -153,24 +414,57 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
     /**
      * Highlights a result item.
      *
+     * Triggers the 'selectivity-highlight' event. The same event is triggered with a null item
+     * and ID once the highlight is removed from the result items again.
+     *
      * @param item The item to highlight.
      */
     highlight: function(item) {
 
+        if (this.createItemHighlighted) {
+            this.$('.selectivity-create-item').removeClass('highlight');
+        }
         if (this.loadMoreHighlighted) {
             this.$('.selectivity-load-more').removeClass('highlight');
         }
+        if (this.retryHighlighted) {
+            this.$('.selectivity-retry').removeClass('highlight');
+        }
 
         this.$('.selectivity-result-item').removeClass('highlight')
             .filter('[data-item-id=' + Selectivity.quoteCssAttr(item.id) + ']')
             .addClass('highlight');
 
         this.highlightedResult = item;
+        this.createItemHighlighted = false;
         this.loadMoreHighlighted = false;
+        this.retryHighlighted = false;
+
+        this._updateAriaAttributes();
 
+        this._resultHighlighted = true;
         this.selectivity.triggerEvent('selectivity-highlight', { item: item, id: item.id });
     },
 
+    /**
+     * Highlights the entry for adding the search term as a new item.
+     */
+    highlightCreateItem: function() {
+
+        this.$('.selectivity-result-item').removeClass('highlight');
+        this.$('.selectivity-load-more').removeClass('highlight');
+        this.$('.selectivity-retry').removeClass('highlight');
+
+        this.$('.selectivity-create-item').addClass('highlight');
+
+        this.highlightedResult = null;
+        this.createItemHighlighted = true;
+        this.loadMoreHighlighted = false;
+        this.retryHighlighted = false;
+
+        this._updateAriaAttributes();
+    },
+
     /**
      * Highlights the load more link.
      *
@@ -178,23 +472,51 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
      */
     highlightLoadMore: function() {
 
+        this.$('.selectivity-create-item').removeClass('highlight');
         this.$('.selectivity-result-item').removeClass('highlight');
+        this.$('.selectivity-retry').removeClass('highlight');
 
         this.$('.selectivity-load-more').addClass('highlight');
 
         this.highlightedResult = null;
+        this.createItemHighlighted = false;
         this.loadMoreHighlighted = true;
+        this.retryHighlighted = false;
+
+        this._updateAriaAttributes();
+    },
+
+    /**
+     * Highlights the action for retrying a failed query.
+     */
+    highlightRetry: function() {
+
+        this.$('.selectivity-create-item').removeClass('highlight');
+        this.$('.selectivity-result-item').removeClass('highlight');
+        this.$('.selectivity-load-more').removeClass('highlight');
+
+        this.$('.selectivity-retry').addClass('highlight');
+
+        this.highlightedResult = null;
+        this.createItemHighlighted = false;
+        this.loadMoreHighlighted = false;
+        this.retryHighlighted = true;
+
+        this._updateAriaAttributes();
     },
 
     /**
      * Positions the dropdown inside the DOM.
+     *
+     * If the position function returns the chosen placement, such as 'above' or 'below', the
+     * dropdown element receives a class marking it, such as 'placement-above'.
+     *
+     * Full-screen sheets and inline dropdowns are not positioned, as their position is determined
+     * by their stylesheet.
      */
     position: function() {
 
-        var position = this.options.position;
-        if (position) {
-            position(this.$el, this.selectivity.$el);
-        }
+        this._updatePosition();
 
         this._scrolled();
     },
@@ -204,7 +526,7 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
      */
     removeCloseHandler: function() {
 
-        $('body').off('click', this._closeProxy);
+        $('body').off('click', this._bodyClickProxy);
     },
 
     /**
@@ -218,16 +540,87 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
 
         var selectivity = this.selectivity;
         return items.map(function(item) {
-            var result = selectivity.template(item.id ? 'resultItem' : 'resultLabel', item);
+            var result;
+            if (item.id) {
+                this._resultCount++;
+                result = selectivity.template('resultItem', $.extend({}, item, {
+                    checkbox: this._checkboxes,
+                    elementId: this._resultsId + '-' + this._resultCount,
+                    matchRanges: this._findMatchRanges(item),
+                    selected: this._isSelected(item.id)
+                }));
+            } else {
+                this._groupCount++;
+                result = this._renderResultLabel(item, 'group-' + this._groupCount);
+            }
             if (item.children) {
                 result += selectivity.template('resultChildren', {
-                    childrenHtml: this.renderItems(item.children)
+                    childrenHtml: this.renderItems(item.children),
+                    text: item.text
                 });
             }
             return result;
         }, this).join('');
     },
 
+    /**
+     * Scrolls the results container so that the highlighted result item, load more link, retry
+     * action or entry for adding a new item is visible.
+     *
+     * @param options Optional options object. May contain the following property:
+     *                alignToTop - If true, the highlighted element is aligned to the top of the
+     *                             results container if it needs to be scrolled into view.
+     *                             Otherwise, it is aligned to the bottom.
+     */
+    scrollToHighlight: function(options) {
+
+        options = options || {};
+
+        var $results = this.$results;
+        var resultsHeight = $results.height();
+
+        if (this._virtualScroll && this.highlightedResult) {
+            var index = this._getVirtualRowIndex(this.highlightedResult.id);
+            if (index > -1) {
+                var rowHeight = this._getVirtualRowHeight();
+                var rowTop = index * rowHeight;
+                var scrollTop = $results.scrollTop();
+                if (rowTop < scrollTop || rowTop > scrollTop + resultsHeight - rowHeight) {
+                    $results.scrollTop(options.alignToTop ? rowTop
+                                                          : rowTop - resultsHeight + rowHeight);
+                }
+                this._renderVirtualWindow();
+            }
+            return;
+        }
+
+        var $el;
+        if (this.highlightedResult) {
+            var quotedId = Selectivity.quoteCssAttr(this.highlightedResult.id);
+            $el = this.$('.selectivity-result-item[data-item-id=' + quotedId + ']');
+        } else if (this.loadMoreHighlighted) {
+            $el = this.$('.selectivity-load-more');
+        } else if (this.retryHighlighted) {
+            $el = this.$('.selectivity-error');
+        } else if (this.createItemHighlighted) {
+            $el = this.$('.selectivity-create-item');
+        } else {
+            return; // no highlight to scroll to
+        }
+
+        var position = $el.position();
+        if (!position) {
+            return;
+        }
+
+        var top = position.top;
+        var elHeight = getOuterHeight($el);
+        if (top < 0 || top > resultsHeight - elHeight) {
+            top += $results.scrollTop();
+            $results.scrollTop(options.alignToTop ? top : top - resultsHeight + elHeight);
+        }
+    },
+
     /**
      * Selects the highlighted item.
      */
@@ -237,6 +630,10 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
             this.selectItem(this.highlightedResult.id);
         } else if (this.loadMoreHighlighted) {
             this._loadMoreClicked();
+        } else if (this.retryHighlighted) {
+            this._retryClicked();
+        } else if (this.createItemHighlighted) {
+            this._createItemClicked();
         }
     },
 
@@ -249,7 +646,7 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
 
         var selectivity = this.selectivity;
         var item = Selectivity.findNestedById(selectivity.results, id);
-        if (item) {
+        if (item && !item.disabled) {
             var options = { id: id, item: item };
             if (selectivity.triggerEvent('selectivity-selecting', options)) {
                 selectivity.triggerEvent('selectivity-selected', options);
@@ -263,33 +660,59 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
      */
     setupCloseHandler: function() {
 
-        $('body').on('click', this._closeProxy);
+        this._bodyClickProxy = this._bodyClicked.bind(this);
+
+        $('body').on('click', this._bodyClickProxy);
     },
 
     /**
      * Shows an error message.
      *
      * @param message Error message to display.
-     * @param options Options object. May contain the following property:
+     * @param options Options object. May contain the following properties:
+     *                add - True if the error should be shown below the results that are already
+     *                      shown, because loading more results failed.
      *                escape - Set to false to disable HTML-escaping of the message. Useful if you
      *                         want to set raw HTML as the message, but may open you up to XSS
      *                         attacks if you're not careful with escaping user input.
+     *                retry - Optional function to retry the failed query. If given, an action to
+     *                        retry is shown with the error message and highlighted.
      */
     showError: function(message, options) {
 
         options = options || {};
 
-        this.$results.html(this.selectivity.template('error', {
-            escape: options.escape !== false,
-            message: message
-        }));
+        var escapeMessage = (options.escape !== false);
+        var errorHtml = this.selectivity.template('error', {
+            escape: escapeMessage,
+            message: message,
+            retry: !!options.retry
+        });
+        if (options.add) {
+            this.$('.selectivity-loading').replaceWith(errorHtml);
+        } else {
+            this.$results.html(errorHtml);
 
-        this.hasMore = false;
-        this.results = [];
+            this.results = [];
+            this.createItemTerm = null;
+            this.createItemHighlighted = false;
+            this.highlightedResult = null;
+        }
 
-        this.highlightedResult = null;
+        this.selectivity.announce(escapeMessage ? escape(message) : message);
+
+        this.hasMore = false;
         this.loadMoreHighlighted = false;
 
+        this.retry = options.retry || null;
+        if (this.retry) {
+            this.highlightRetry();
+        } else {
+            this.retryHighlighted = false;
+
+            this._updateAriaAttributes();
+        }
+
         this.position();
     },
 
@@ -300,11 +723,19 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
 
         this.$results.html(this.selectivity.template('loading'));
 
+        this.selectivity.announce(Selectivity.Locale.loading);
+
         this.hasMore = false;
         this.results = [];
+        this.retry = null;
+        this.createItemTerm = null;
 
         this.highlightedResult = null;
+        this.createItemHighlighted = false;
         this.loadMoreHighlighted = false;
+        this.retryHighlighted = false;
+
+        this._updateAriaAttributes();
 
         this.position();
     },
@@ -317,33 +748,73 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
      *                add - True if the results should be added to any already shown results.
      *                hasMore - Boolean whether more results can be fetched using the query()
      *                          function.
-     *                term - The search term for which the results are displayed.
+     *                term - The search term for which the results are displayed. Added results
+     *                       keep the term of the results that are already shown.
      */
     showResults: function(results, options) {
 
-        var resultsHtml = this.renderItems(results);
-        if (options.hasMore) {
-            resultsHtml += this.selectivity.template('loadMore');
-        } else {
-            if (!resultsHtml && !options.add) {
-                resultsHtml = this.selectivity.template('noResults', { term: options.term });
-            }
+        if (!options.add) {
+            this._term = options.term || '';
         }
 
-        if (options.add) {
-            this.$('.selectivity-loading').replaceWith(resultsHtml);
+        this.retry = null;
+        this.retryHighlighted = false;
+
+        var createItemOnTop = (this.selectivity.options.createItemPosition !== 'bottom');
+        if (!options.add) {
+            this.createItemTerm = (this._shouldOfferCreateItem(options.term) ? options.term : null);
+            this.createItemHighlighted = false;
 
-            this.results = this.results.concat(results);
+            this._groups = {};
+        }
+
+        if (this._virtualScroll) {
+            this._showVirtualResults(results, options);
         } else {
-            this.$results.html(resultsHtml);
+            var resultsHtml = this.renderItems(results);
+            var loadMoreHtml = (options.hasMore ? this.selectivity.template('loadMore') : '');
+            if (options.add) {
+                this.$('.selectivity-loading').replaceWith(resultsHtml + loadMoreHtml);
+
+                // keep the entry for adding a new item at the bottom of the results, but above
+                // the load more link
+                var $createItem = this.$('.selectivity-create-item');
+                if ($createItem.length && !createItemOnTop) {
+                    var $loadMore = this.$('.selectivity-load-more');
+                    if ($loadMore.length) {
+                        $loadMore.before($createItem);
+                    } else {
+                        this.$results.append($createItem);
+                    }
+                }
+
+                this.results = this.results.concat(results);
+            } else {
+                var createItemHtml = this._renderCreateItem();
+                if (createItemHtml) {
+                    resultsHtml = (createItemOnTop ? createItemHtml + resultsHtml
+                                                   : resultsHtml + createItemHtml);
+                } else if (!resultsHtml && !loadMoreHtml) {
+                    resultsHtml = this.selectivity.template('noResults', { term: options.term });
+                }
+                this.$results.html(resultsHtml + loadMoreHtml);
 
-            this.results = results;
+                this.results = results;
+            }
         }
 
         this.hasMore = options.hasMore;
 
-        if (!options.add || this.loadMoreHighlighted) {
+        this._announceResults(options.term);
+
+        if (!options.add && this.createItemTerm && createItemOnTop) {
+            this.highlightCreateItem();
+        } else if (!options.add || this.loadMoreHighlighted) {
             this._highlightFirstItem(results);
+
+            if (!this.highlightedResult && this.createItemTerm) {
+                this.highlightCreateItem();
+            }
         }
 
         this.position();
@@ -365,34 +836,199 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
         this.selectivity.$el.trigger('selectivity-open');
     },
 
+    /**
+     * Updates the selected state of the displayed result items after the selection of the
+     * Selectivity instance has changed, without rendering the results again.
+     */
+    updateSelection: function() {
+
+        var selectivity = this.selectivity;
+        this.$('.selectivity-result-item').each(function(index, element) {
+            var selected = this._isSelected(selectivity._getItemId(element));
+            $(element).attr('aria-selected', '' + selected);
+        }.bind(this));
+    },
+
     /**
      * @private
      */
-    _highlightFirstItem: function(results) {
+    _announceResults: function(term) {
+
+        var Locale = Selectivity.Locale;
+        var numResults = Selectivity.getSelectableItems(this.results).length;
+        if (numResults) {
+            this.selectivity.announce(Locale.resultsAvailable(numResults));
+        } else if (!this.hasMore) {
+            this.selectivity.announce(term ? Locale.noResultsForTerm(term) : Locale.noResults);
+        }
+    },
 
-        function findFirstItem(results) {
-            for (var i = 0, length = results.length; i < length; i++) {
-                var result = results[i];
-                if (result.id) {
-                    return result;
-                } else if (result.children) {
-                    var item = findFirstItem(result.children);
-                    if (item) {
-                        return item;
-                    }
-                }
+    /**
+     * @private
+     */
+    _bodyClicked: function(event) {
+
+        // clicks inside the dropdown, its parent menus or its submenus bubble up to the body as
+        // well, but should not close it
+        var dropdown = this.selectivity.dropdown || this;
+        while (dropdown) {
+            if ($.contains(dropdown.$el[0], event.target)) {
+                return;
             }
+            dropdown = dropdown.submenu;
+        }
+
+        this.close();
+    },
+
+    /**
+     * @private
+     */
+    _createItemClicked: function() {
+
+        var term = this.createItemTerm;
+        if (term) {
+            this.createItemTerm = null;
+            this.createItemHighlighted = false;
+
+            this.$('.selectivity-create-item').replaceWith(this.selectivity.template('loading'));
+
+            this._updateAriaAttributes();
+
+            this.selectivity.focus();
+
+            this.selectivity.createItem(term);
         }
 
-        var firstItem = findFirstItem(results);
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _createItemHovered: function(event) {
+
+        if (event.screenX === undefined || event.screenX !== this._lastMousePosition.x ||
+            event.screenY === undefined || event.screenY !== this._lastMousePosition.y) {
+            this.highlightCreateItem();
+
+            this._recordMousePosition(event);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _deselectAllClicked: function() {
+
+        this.selectivity.deselectAll();
+
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _documentScrolled: function(event) {
+
+        // only scrolling one of the elements containing the Selectivity element affects the
+        // position of the dropdown, scrolling the results is handled by _scrolled()
+        var target = event.target;
+        if (target === this.selectivity.$el[0].ownerDocument ||
+            $.contains(target, this.selectivity.$el[0])) {
+            this._updatePosition();
+        }
+    },
+
+    /**
+     * @private
+     */
+    _findMatchRanges: function(item) {
+
+        // matchers may determine themselves which parts of the text match, as is the case for
+        // the fuzzy matcher
+        var matcher = this.selectivity.matcher;
+        var findMatchRanges = (matcher && matcher.findMatchRanges) || Selectivity.findMatchRanges;
+        return (this._term ? findMatchRanges(item.text, this._term) : []);
+    },
+
+    /**
+     * @private
+     */
+    _getGroupItems: function(event) {
+
+        var groupId = $(event.target).closest('[data-group-id]').attr('data-group-id');
+        var group = this._groups[groupId];
+        return (group ? Selectivity.getSelectableItems(group.children) : []);
+    },
+
+    /**
+     * @private
+     */
+    _getVirtualRowHeight: function() {
+
+        return this.selectivity.options.virtualScrollRowHeight || DEFAULT_VIRTUAL_SCROLL_ROW_HEIGHT;
+    },
+
+    /**
+     * @private
+     */
+    _getVirtualRowIndex: function(id) {
+
+        var rows = this._virtualRows;
+        for (var i = 0, length = rows.length; i < length; i++) {
+            if (rows[i].item.id === id) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * @private
+     */
+    _groupSelectAllClicked: function(event) {
+
+        this.selectivity.add(this._getGroupItems(event));
+
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _groupSelectNoneClicked: function(event) {
+
+        this.selectivity.remove(this._getGroupItems(event));
+
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _highlightFirstItem: function(results) {
+
+        var firstItem = Selectivity.getSelectableItems(results)[0];
         if (firstItem) {
-            this.highlight(firstItem);
+            this.highlight(firstItem, { delay: !!firstItem.submenu });
         } else {
             this.highlightedResult = null;
             this.loadMoreHighlighted = false;
+
+            this._updateAriaAttributes();
         }
     },
 
+    /**
+     * @private
+     */
+    _isSelected: function(id) {
+
+        var value = this.selectivity._value;
+        return ($.type(value) === 'array' ? value.indexOf(id) > -1 : value === id);
+    },
+
     /**
      * @private
      */
@@ -428,6 +1064,113 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
         this._lastMousePosition = { x: event.screenX, y: event.screenY };
     },
 
+    /**
+     * @private
+     */
+    _renderCreateItem: function() {
+
+        var term = this.createItemTerm;
+        return (term ? this.selectivity.template('createItem', {
+            elementId: this._resultsId + '-create',
+            term: term
+        }) : '');
+    },
+
+    /**
+     * @private
+     */
+    _renderResultLabel: function(item, groupId) {
+
+        // with checkboxes, labels of groups offer actions to select or deselect the whole group
+        var groupActions = !!(this._checkboxes && item.children);
+        if (groupActions) {
+            this._groups[groupId] = item;
+        }
+
+        return this.selectivity.template('resultLabel', $.extend({}, item, {
+            groupId: (groupActions ? groupId : null),
+            matchRanges: this._findMatchRanges(item)
+        }));
+    },
+
+    /**
+     * @private
+     */
+    _renderVirtualRows: function(rows, depth) {
+
+        // renders a consecutive range of rows, wrapping any rows that are nested deeper than the
+        // given depth inside the container for the children of their parent item
+        var html = '';
+        var selectivity = this.selectivity;
+        for (var i = 0, length = rows.length; i < length; ) {
+            var row = rows[i];
+            if (row.parents.length > depth) {
+                var parent = row.parents[depth];
+                var j = i + 1;
+                while (j < length && rows[j].parents[depth] === parent) {
+                    j++;
+                }
+                html += selectivity.template('resultChildren', {
+                    childrenHtml: this._renderVirtualRows(rows.slice(i, j), depth + 1),
+                    text: parent.text
+                });
+                i = j;
+            } else {
+                var item = row.item;
+                if (item.id) {
+                    html += selectivity.template('resultItem', $.extend({}, item, {
+                        checkbox: this._checkboxes,
+                        elementId: this._resultsId + '-' + (row.index + 1),
+                        matchRanges: this._findMatchRanges(item),
+                        selected: this._isSelected(item.id)
+                    }));
+                } else {
+                    html += this._renderResultLabel(item, 'row-' + row.index);
+                }
+                i++;
+            }
+        }
+        return html;
+    },
+
+    /**
+     * @private
+     */
+    _renderVirtualWindow: function(options) {
+
+        // renders only the rows that are visible in the results container, plus a buffer of rows
+        // above and below, and uses spacers to give the results container its full height
+        options = options || {};
+
+        var rows = this._virtualRows;
+        var rowHeight = this._getVirtualRowHeight();
+        var scrollTop = this.$results.scrollTop();
+        var height = this.$results.height();
+
+        var start = Math.max(Math.floor(scrollTop / rowHeight) - VIRTUAL_SCROLL_BUFFER, 0);
+        var end = Math.min(Math.ceil((scrollTop + height) / rowHeight) + VIRTUAL_SCROLL_BUFFER,
+                           rows.length);
+
+        var virtualWindow = this._virtualWindow;
+        if (options.force || start !== virtualWindow.start || end !== virtualWindow.end) {
+            this._virtualWindow = { start: start, end: end };
+
+            this.$('.selectivity-virtual-spacer').first().height(start * rowHeight);
+            this.$('.selectivity-virtual-spacer').last().height((rows.length - end) * rowHeight);
+            this.$('.selectivity-virtual-window').html(
+                this._renderVirtualRows(rows.slice(start, end), 0)
+            );
+
+            if (this.highlightedResult) {
+                var quotedId = Selectivity.quoteCssAttr(this.highlightedResult.id);
+                this.$('.selectivity-result-item[data-item-id=' + quotedId + ']')
+                    .addClass('highlight');
+            }
+
+            this._updateAriaAttributes();
+        }
+    },
+
     /**
      * @private
      */
@@ -447,7 +1190,7 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
             event.screenY === undefined || event.screenY !== this._lastMousePosition.y) {
             var id = this.selectivity._getItemId(event);
             var item = Selectivity.findNestedById(this.results, id);
-            if (item) {
+            if (item && !item.disabled) {
                 this.highlight(item);
             }
 
@@ -455,6 +1198,26 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
         }
     },
 
+    /**
+     * @private
+     */
+    _retryClicked: function() {
+
+        var retry = this.retry;
+        if (retry) {
+            this.retry = null;
+            this.retryHighlighted = false;
+
+            this.$('.selectivity-error').replaceWith(this.selectivity.template('loading'));
+
+            retry();
+
+            this.selectivity.focus();
+        }
+
+        return false;
+    },
+
     /**
      * @private
      */
@@ -468,6 +1231,88 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
         }
     },
 
+    /**
+     * @private
+     */
+    _selectAllClicked: function() {
+
+        this.selectivity.selectAll();
+
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _sheetCloseClicked: function() {
+
+        var selectivity = this.selectivity;
+        if (selectivity.dropdown === this) {
+            selectivity.close();
+        } else {
+            // closing a nested dropdown, such as a submenu, returns to the dropdown below it
+            this.close();
+            selectivity.focus();
+        }
+
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _sheetDoneClicked: function() {
+
+        this.selectivity.close();
+
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _shouldOfferCreateItem: function(term) {
+
+        var selectivity = this.selectivity;
+        return !!(selectivity.options.createItem && term && $.trim(term) &&
+                  !hasExactMatch(selectivity.results, Selectivity.transformText(term)));
+    },
+
+    /**
+     * @private
+     */
+    _showVirtualResults: function(results, options) {
+
+        this.results = (options.add ? this.results.concat(results) : results);
+
+        var rows = flattenRows(this.results);
+        this._virtualRows = rows;
+
+        var selectivity = this.selectivity;
+        var loadMoreHtml = (options.hasMore ? selectivity.template('loadMore') : '');
+        var createItemHtml = this._renderCreateItem();
+        var createItemOnTop = (selectivity.options.createItemPosition !== 'bottom');
+        if (options.add && this.$('.selectivity-virtual-window').length) {
+            this.$('.selectivity-loading').replaceWith(loadMoreHtml);
+        } else if (rows.length) {
+            var spacerHtml = '<div class="selectivity-virtual-spacer" role="presentation"></div>';
+            this.$results.html(
+                (createItemOnTop ? createItemHtml : '') +
+                spacerHtml + '<div class="selectivity-virtual-window" role="presentation"></div>' +
+                spacerHtml + (createItemOnTop ? '' : createItemHtml) + loadMoreHtml
+            ).scrollTop(0);
+
+            // give the container its full height before determining which rows are visible
+            var rowHeight = this._getVirtualRowHeight();
+            this.$('.selectivity-virtual-spacer').first().height(rows.length * rowHeight);
+        } else {
+            this.$results.html(createItemHtml + loadMoreHtml ||
+                               selectivity.template('noResults', { term: options.term }));
+        }
+
+        this._renderVirtualWindow({ force: true });
+    },
+
     /**
      * @private
      */
@@ -512,6 +1357,52 @@ $.extend(SelectivityDropdown.prototype, EventDelegator.prototype, {
                 }
             }
         });
+    },
+
+    /**
+     * @private
+     */
+    _updateAriaAttributes: function() {
+
+        // the search input acts as combobox for the results container, which is the listbox that
+        // owns the highlighted result item
+        var $highlighted = $();
+        if (this.highlightedResult) {
+            var quotedId = Selectivity.quoteCssAttr(this.highlightedResult.id);
+            $highlighted = this.$('.selectivity-result-item[data-item-id=' + quotedId + ']');
+        } else if (this.createItemHighlighted) {
+            $highlighted = this.$('.selectivity-create-item');
+        }
+
+        this._$combobox.attr({ 'aria-controls': this._resultsId, 'aria-expanded': 'true' });
+
+        var elementId = $highlighted.attr('id');
+        if (elementId) {
+            this._$combobox.attr('aria-activedescendant', elementId);
+        } else {
+            this._$combobox.removeAttr('aria-activedescendant');
+        }
+
+        if (this._resultHighlighted && !this.highlightedResult) {
+            this._resultHighlighted = false;
+            this.selectivity.triggerEvent('selectivity-highlight', { item: null, id: null });
+        }
+    },
+
+    /**
+     * @private
+     */
+    _updatePosition: function() {
+
+        if (!this.fullScreen && !this.options.inline) {
+            var position = this.options.position || positionDropdown;
+            var placement = position(this.$el, this.selectivity.$el);
+
+            this.$el.removeClass(PLACEMENT_CLASSES);
+            if (placement) {
+                this.$el.addClass('placement-' + placement);
+            }
+        }
     }
 
 });
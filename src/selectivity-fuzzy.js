@@ -0,0 +1,253 @@
+'use strict';
+
+var Selectivity = require('./selectivity-base');
+
+var SCORE_EXACT = 100;
+var SCORE_PREFIX = 80;
+var SCORE_WORD_PREFIX = 60;
+var SCORE_SUBSTRING = 40;
+var SCORE_SUBSEQUENCE = 10;
+var MAX_SUBSEQUENCE_BONUS = SCORE_SUBSTRING - SCORE_SUBSEQUENCE - 1;
+
+var WORD_SEPARATOR = /[\s\-_.,;:\/\\()\[\]]/;
+
+function isWordStart(text, index) {
+
+    return index === 0 || WORD_SEPARATOR.test(text[index - 1]);
+}
+
+function findWordStart(text, character, fromIndex) {
+
+    var index = text.indexOf(character, fromIndex);
+    while (index > -1 && !isWordStart(text, index)) {
+        index = text.indexOf(character, index + 1);
+    }
+    return index;
+}
+
+/**
+ * Returns the indices of the characters in the text that match the characters of the term as a
+ * subsequence, or null if the text does not contain all the characters in the same order.
+ */
+function findSubsequence(text, term, preferWordStarts) {
+
+    var indices = [];
+    var lastIndex = -1;
+    for (var i = 0, length = term.length; i < length; i++) {
+        var character = term[i];
+        var index = -1;
+        if (text[lastIndex + 1] === character) {
+            index = lastIndex + 1;
+        } else if (preferWordStarts) {
+            index = findWordStart(text, character, lastIndex + 1);
+        }
+        if (index === -1) {
+            index = text.indexOf(character, lastIndex + 1);
+            if (index === -1) {
+                return null;
+            }
+        }
+
+        indices.push(index);
+        lastIndex = index;
+    }
+    return indices;
+}
+
+/**
+ * Returns the indices of the characters in the text that match the term as a subsequence. Matching
+ * characters at the start of words are preferred, but the leftmost characters are matched in case
+ * the preference causes later characters of the term not to be found.
+ */
+function findBestSubsequence(text, term) {
+
+    return findSubsequence(text, term, true) || findSubsequence(text, term, false);
+}
+
+/**
+ * Returns the bonus for matching the characters of a text at the given indices, which is higher
+ * the more characters are found consecutively or at the start of words.
+ */
+function scoreSubsequence(text, indices) {
+
+    var bonus = 0;
+    indices.forEach(function(index, i) {
+        if (index === (i ? indices[i - 1] + 1 : 0)) {
+            bonus++;
+        }
+        if (isWordStart(text, index)) {
+            bonus += 2;
+        }
+    });
+    return bonus;
+}
+
+/**
+ * Returns the score of an item, which is the best score of the item itself or any of its children.
+ */
+function getItemScore(item, term) {
+
+    var score = Selectivity.fuzzyScore(Selectivity.transformText(item.text), term);
+    if (item.children) {
+        item.children.forEach(function(child) {
+            score = Math.max(score, getItemScore(child, term));
+        });
+    }
+    return score;
+}
+
+/**
+ * Sorts items by descending score. Items with equal scores keep their original order.
+ */
+function sortByScore(items, term) {
+
+    return items.map(function(item, index) {
+        return { index: index, item: item, score: getItemScore(item, term) };
+    }).sort(function(a, b) {
+        return b.score - a.score || a.index - b.index;
+    }).map(function(result) {
+        return result.item;
+    });
+}
+
+/**
+ * Calculates how well a text matches a search term, allowing characters from the term to be
+ * omitted in the text.
+ *
+ * Exact matches score highest, followed by texts starting with the term, texts containing a word
+ * starting with the term and texts containing the term. Finally, a text also matches if all the
+ * characters of the term appear in it in the same order, in which case the score is higher the
+ * more characters are found consecutively or at the start of words.
+ *
+ * @param text The text to match. Should already be processed using transformText().
+ * @param term The search term. Should already be processed using transformText().
+ *
+ * @return The score of the match, or 0 if the text does not match the term.
+ */
+Selectivity.fuzzyScore = function(text, term) {
+
+    if (text === term) {
+        return SCORE_EXACT;
+    }
+
+    var index = text.indexOf(term);
+    if (index === 0) {
+        return SCORE_PREFIX;
+    } else if (index > 0) {
+        while (index > -1) {
+            if (isWordStart(text, index)) {
+                return SCORE_WORD_PREFIX;
+            }
+            index = text.indexOf(term, index + 1);
+        }
+        return SCORE_SUBSTRING;
+    }
+
+    var indices = findBestSubsequence(text, term);
+    if (!indices) {
+        return 0;
+    }
+    return SCORE_SUBSEQUENCE + Math.min(scoreSubsequence(text, indices), MAX_SUBSEQUENCE_BONUS);
+};
+
+/**
+ * Fuzzy implementation of the matcher() function. Rather than only matching items whose text
+ * contains the search term, it also matches items containing all the characters of the term in
+ * the same order, so that "amstdm" matches "Amsterdam", for instance.
+ *
+ * Children of items are sorted by their score, so the best matches appear first within every
+ * group.
+ *
+ * @param item The item that should match the search term.
+ * @param term The search term. Note that for performance reasons, the term has always been already
+ *             processed using transformText().
+ *
+ * @return The item if it matches, a copy of the item with only the matching children if any of its
+ *         children match, or null otherwise.
+ */
+Selectivity.fuzzyMatcher = function(item, term) {
+
+    var result = null;
+    if (Selectivity.fuzzyScore(Selectivity.transformText(item.text), term)) {
+        result = item;
+    } else if (item.children) {
+        var matchingChildren = item.children.map(function(child) {
+            return Selectivity.fuzzyMatcher(child, term);
+        }).filter(function(child) {
+            return !!child;
+        });
+        if (matchingChildren.length) {
+            result = {
+                id: item.id,
+                text: item.text,
+                children: sortByScore(matchingChildren, term)
+            };
+        }
+    }
+    return result;
+};
+
+/**
+ * Finds the ranges in a text that match a search term using fuzzy matching. If the text contains
+ * the term, the ranges are those returned by Selectivity.findMatchRanges(). Otherwise, the ranges
+ * cover the characters of the text that match the characters of the term as a subsequence.
+ *
+ * @param text The text in which to find the matches.
+ * @param term The search term.
+ *
+ * @return Array of non-overlapping ranges, in the order in which they appear in the text. See
+ *         Selectivity.findMatchRanges() for details.
+ */
+Selectivity.fuzzyMatcher.findMatchRanges = function(text, term) {
+
+    var ranges = Selectivity.findMatchRanges(text, term);
+    term = Selectivity.transformText(term || '');
+    if (ranges.length || !term) {
+        return ranges;
+    }
+
+    // map every character of the transformed text back to the character in the original text it
+    // was derived from
+    var transformedText = '';
+    var offsets = [];
+    for (var i = 0, length = text.length; i < length; i++) {
+        var transformedCharacter = Selectivity.transformText(text[i]);
+        transformedText += transformedCharacter;
+        for (var j = 0; j < transformedCharacter.length; j++) {
+            offsets.push(i);
+        }
+    }
+
+    (findBestSubsequence(transformedText, term) || []).forEach(function(index) {
+        var start = offsets[index];
+        var lastRange = ranges[ranges.length - 1];
+        if (lastRange && lastRange.end >= start) {
+            lastRange.end = start + 1;
+        } else {
+            ranges.push({ start: start, end: start + 1 });
+        }
+    });
+    return ranges;
+};
+
+/**
+ * Option listener that enables fuzzy matching when the matcher option is set to 'fuzzy'.
+ *
+ * @param options Options object. In addition to the options supported in the base
+ *                implementation, this may contain the following property:
+ *                matcher - If set to 'fuzzy', the local items are matched using
+ *                          Selectivity.fuzzyMatcher() and, unless a sortResults function is set,
+ *                          the results are sorted so that the best matches appear first. Sorting
+ *                          by score stops when another matcher is set.
+ */
+Selectivity.OptionListeners.push(function(selectivity, options) {
+
+    var sortResults = (options.sortResults !== undefined ? options.sortResults
+                                                         : selectivity.options.sortResults);
+    if (options.matcher === 'fuzzy') {
+        options.matcher = Selectivity.fuzzyMatcher;
+        options.sortResults = sortResults || sortByScore;
+    } else if (options.matcher !== undefined && sortResults === sortByScore) {
+        options.sortResults = null;
+    }
+});
@@ -1,137 +1,653 @@
 'use strict';
 
+var $ = require('jquery');
+
 var Selectivity = require('./selectivity-base');
 
-var KEY_BACKSPACE = 8;
-var KEY_DOWN_ARROW = 40;
-var KEY_ENTER = 13;
-var KEY_ESCAPE = 27;
+var KEY_LEFT_ARROW = 37;
+var KEY_RIGHT_ARROW = 39;
 var KEY_TAB = 9;
-var KEY_UP_ARROW = 38;
+
+// names of the keys that may be used in key bindings, besides letters and digits
+var KEY_CODES = {
+    Backspace: 8,
+    Delete: 46,
+    Down: 40,
+    End: 35,
+    Enter: 13,
+    Escape: 27,
+    Home: 36,
+    Left: KEY_LEFT_ARROW,
+    PageDown: 34,
+    PageUp: 33,
+    Right: KEY_RIGHT_ARROW,
+    Space: 32,
+    Tab: KEY_TAB,
+    Up: 38
+};
+
+// modifier keys that may be used in key bindings, in the order in which they are normalized
+var MODIFIER_KEYS = ['Alt', 'Ctrl', 'Meta', 'Shift'];
+
+// actions to which keys may be bound, see the documentation of the keyBindings option below
+var KEY_BINDING_ACTIONS = [
+    'clear', 'close', 'closeSubmenu', 'deselectAll', 'highlightFirst', 'highlightLast',
+    'highlightNext', 'highlightNextPage', 'highlightPrevious', 'highlightPreviousPage', 'open',
+    'openSubmenu', 'removeLast', 'select', 'selectAll', 'selectAndNext'
+];
+
+// number of result items to move by when the height of the items cannot be determined
+var DEFAULT_PAGE_SIZE = 10;
+
+// time in milliseconds after which the characters typed for jumping to an item are forgotten
+var TYPE_AHEAD_DELAY = 1000;
+
+// placeholder used for navigating to the entry for adding a new item among the result items
+var CREATE_ITEM_ENTRY = {};
+
+/**
+ * Returns the normalized name of a key combination, consisting of the names of the modifier keys
+ * that are pressed, followed by the key code. For example: 'Ctrl+Shift+13'.
+ *
+ * @param keyCode Key code of the key that is pressed.
+ * @param isModifierPressed Function that receives the name of a modifier key and returns whether
+ *                          it is pressed.
+ */
+function getKeyCombination(keyCode, isModifierPressed) {
+
+    return MODIFIER_KEYS.filter(isModifierPressed).concat(keyCode).join('+');
+}
+
+/**
+ * Parses key bindings, such as those given through the keyBindings option, and adds them to a map
+ * of normalized key combinations to action names.
+ *
+ * @param keyBindings Object mapping key bindings, such as 'Ctrl+Enter', to action names or null.
+ * @param map Map to which the parsed key bindings are added.
+ *
+ * @return The map.
+ */
+function parseKeyBindings(keyBindings, map) {
+
+    $.each(keyBindings, function(keyBinding, action) {
+        if (action !== null && KEY_BINDING_ACTIONS.indexOf(action) === -1) {
+            throw new Error('Unknown key binding action: ' + action);
+        }
+
+        var modifiers = keyBinding.split('+');
+        var key = modifiers.pop();
+        var keyCode = KEY_CODES[key] || (/^[A-Z0-9]$/i.test(key) ? key.toUpperCase().charCodeAt(0)
+                                                                 : 0);
+        if (!keyCode || modifiers.some(function(modifier) {
+            return MODIFIER_KEYS.indexOf(modifier) === -1;
+        })) {
+            throw new Error('Invalid key binding: ' + keyBinding);
+        }
+
+        map[getKeyCombination(keyCode, function(modifier) {
+            return modifiers.indexOf(modifier) > -1;
+        })] = action;
+    });
+    return map;
+}
+
+var DEFAULT_KEY_BINDINGS = parseKeyBindings({
+    Backspace: 'clear',
+    'Ctrl+Enter': null,
+    'Ctrl+Shift+A': 'selectAll',
+    'Ctrl+Shift+D': 'deselectAll',
+    Down: 'highlightNext',
+    End: 'highlightLast',
+    Enter: 'select',
+    Escape: 'close',
+    Home: 'highlightFirst',
+    Left: 'closeSubmenu',
+    PageDown: 'highlightNextPage',
+    PageUp: 'highlightPreviousPage',
+    Right: 'openSubmenu',
+    'Shift+Tab': 'close',
+    Tab: 'close',
+    Up: 'highlightPrevious'
+}, {});
 
 /**
  * Search input listener providing keyboard support for navigating the dropdown.
+ *
+ * If the input is not used for searching, as is the case for single-select inputs without a
+ * search input in their dropdown, typing characters jumps to the item whose text starts with them.
  */
-function listener(selectivity, $input) {
+function listener(selectivity, $input, options) {
 
     var keydownCanceled = false;
     var closeSubmenu = null;
 
+    var typeAhead = !!(options && options.noSearch);
+    var typeAheadTerm = '';
+    var typeAheadTimeout = 0;
+
+    /**
+     * Returns the items that can be highlighted in a dropdown, including the entry for adding a
+     * new item if it is shown.
+     */
+    function getNavigableItems(dropdown) {
+
+        // the items are determined from the results rather than from the rendered elements, so
+        // that navigation also works when only part of the results is rendered
+        var items = Selectivity.getSelectableItems(dropdown.results);
+
+        // the entry for adding a new item is navigated to as if it were the first or last item
+        if (dropdown.createItemTerm) {
+            if (selectivity.options.createItemPosition === 'bottom') {
+                items.push(CREATE_ITEM_ENTRY);
+            } else {
+                items.unshift(CREATE_ITEM_ENTRY);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Returns the index of the highlighted item among the navigable items, or -1 if no item is
+     * highlighted.
+     */
+    function getHighlightedIndex(dropdown, items) {
+
+        var highlightedResult = dropdown.highlightedResult;
+        if (highlightedResult) {
+            return Selectivity.findIndexById(items, highlightedResult.id);
+        } else {
+            return (dropdown.createItemHighlighted ? items.indexOf(CREATE_ITEM_ENTRY) : -1);
+        }
+    }
+
+    /**
+     * Returns the deepest submenu of a dropdown, or the dropdown itself if it has no submenu.
+     */
+    function getInnermostDropdown(dropdown) {
+
+        while (dropdown.submenu) {
+            dropdown = dropdown.submenu;
+        }
+        return dropdown;
+    }
+
+    /**
+     * Returns the number of result items that fit in the visible area of a dropdown.
+     */
+    function getPageSize(dropdown) {
+
+        var $item = dropdown.$('.selectivity-result-item').first();
+        var itemHeight = ($item.outerHeight ? $item.outerHeight() : $item.height());
+        var resultsHeight = dropdown.$results.height();
+        return (itemHeight && resultsHeight ? Math.max(Math.floor(resultsHeight / itemHeight), 1)
+                                            : DEFAULT_PAGE_SIZE);
+    }
+
+    /**
+     * Returns whether the Selectivity element is laid out from right to left, in which case the
+     * meaning of the left and right arrow keys is swapped.
+     */
+    function isRightToLeft() {
+
+        return selectivity.$el.css('direction') === 'rtl';
+    }
+
+    /**
+     * Highlights one of the navigable items of a dropdown and scrolls it into view.
+     */
+    function highlightIndex(dropdown, items, index, alignToTop) {
+
+        var item = items[index];
+        if (item === CREATE_ITEM_ENTRY) {
+            dropdown.highlightCreateItem();
+        } else {
+            dropdown.highlight(item, { delay: !!item.submenu });
+        }
+        dropdown.scrollToHighlight({ alignToTop: alignToTop });
+    }
+
+    /**
+     * Moves a dropdown's highlight to the first or last result item.
+     *
+     * @param last Boolean whether to move to the last item instead of the first.
+     */
+    function moveHighlightToEdge(dropdown, last) {
+
+        dropdown = getInnermostDropdown(dropdown);
+
+        var items = getNavigableItems(dropdown);
+        if (items.length) {
+            highlightIndex(dropdown, items, last ? items.length - 1 : 0, !last);
+        }
+    }
+
     /**
      * Moves a dropdown's highlight to the next or previous result item.
      *
+     * Moving past the last item highlights the load more link or retry action, if any. Otherwise,
+     * the highlight wraps around to the other end of the results, unless the wrapAround option is
+     * false.
+     *
      * @param delta Either 1 to move to the next item, or -1 to move to the previous item.
      */
     function moveHighlight(dropdown, delta) {
 
-        function findElementIndex($elements, selector) {
-            for (var i = 0, length = $elements.length; i < length; i++) {
-                if ($elements.eq(i).is(selector)) {
-                    return i;
+        dropdown = getInnermostDropdown(dropdown);
+
+        var items = getNavigableItems(dropdown);
+        if (!items.length) {
+            return;
+        }
+
+        var wrapAround = (selectivity.options.wrapAround !== false);
+        var defaultIndex = (delta > 0 ? 0 : items.length - 1);
+        var index = getHighlightedIndex(dropdown, items);
+        if (index === -1) {
+            if (!wrapAround && delta > 0 &&
+                (dropdown.loadMoreHighlighted || dropdown.retryHighlighted)) {
+                return;
+            }
+            index = defaultIndex;
+        } else {
+            index += delta;
+            if (index < 0 || index >= items.length) {
+                if (!wrapAround && delta < 0) {
+                    return;
+                } else if (dropdown.hasMore) {
+                    dropdown.highlightLoadMore();
+                    dropdown.scrollToHighlight({ alignToTop: delta < 0 });
+                    return;
+                } else if (dropdown.retry) {
+                    dropdown.highlightRetry();
+                    dropdown.scrollToHighlight({ alignToTop: delta < 0 });
+                    return;
+                } else if (!wrapAround) {
+                    return;
                 }
+                index = defaultIndex;
             }
-            return -1;
         }
 
-        function scrollToHighlight() {
-            var $el;
-            if (dropdown.highlightedResult) {
-                var quotedId = Selectivity.quoteCssAttr(dropdown.highlightedResult.id);
-                $el = dropdown.$('.selectivity-result-item[data-item-id=' + quotedId + ']');
-            } else if (dropdown.loadMoreHighlighted) {
-                $el = dropdown.$('.selectivity-load-more');
-            } else {
-                return; // no highlight to scroll to
-            }
+        highlightIndex(dropdown, items, index, delta < 0);
+    }
 
-            var position = $el.position();
-            if (!position) {
-                return;
-            }
+    /**
+     * Moves a dropdown's highlight by the number of result items that fit in its visible area.
+     *
+     * If moving down from the last item while more results are available, more results are
+     * loaded.
+     *
+     * @param direction Either 1 to move down, or -1 to move up.
+     */
+    function moveHighlightByPage(dropdown, direction) {
 
-            var top = position.top;
-            var resultsHeight = dropdown.$results.height();
-            var elHeight = ($el.outerHeight ? $el.outerHeight() : $el.height());
-            if (top < 0 || top > resultsHeight - elHeight) {
-                top += dropdown.$results.scrollTop();
-                dropdown.$results.scrollTop(delta < 0 ? top : top - resultsHeight + elHeight);
-            }
+        dropdown = getInnermostDropdown(dropdown);
+
+        var items = getNavigableItems(dropdown);
+        if (!items.length) {
+            return;
         }
 
-        if (dropdown.submenu) {
-            moveHighlight(dropdown.submenu, delta);
+        var lastIndex = items.length - 1;
+        var index = getHighlightedIndex(dropdown, items);
+        if (index === -1) {
+            var atEnd = (dropdown.loadMoreHighlighted || dropdown.retryHighlighted);
+            index = (direction > 0 && !atEnd ? 0 : lastIndex);
+        } else if (direction > 0 && index === lastIndex && dropdown.hasMore) {
+            dropdown.highlightLoadMore();
+            dropdown.selectHighlight();
             return;
+        } else {
+            index = Math.min(Math.max(index + direction * getPageSize(dropdown), 0), lastIndex);
         }
 
-        var results = dropdown.results;
-        if (results.length) {
-            var $results = dropdown.$('.selectivity-result-item');
-            var defaultIndex = (delta > 0 ? 0 : $results.length - 1);
-            var index = defaultIndex;
-            var highlightedResult = dropdown.highlightedResult;
-            if (highlightedResult) {
-                var quotedId = Selectivity.quoteCssAttr(highlightedResult.id);
-                index = findElementIndex($results, '[data-item-id=' + quotedId + ']') + delta;
-                if (delta > 0 ? index >= $results.length : index < 0) {
-                    if (dropdown.hasMore) {
-                        dropdown.highlightLoadMore();
-                        scrollToHighlight();
-                        return;
-                    } else {
-                        index = defaultIndex;
+        highlightIndex(dropdown, items, index, direction < 0);
+    }
+
+    /**
+     * Opens the submenu of the highlighted item in the deepest submenu of a dropdown without
+     * waiting for the usual delay. Once the submenu shows its results, its first item is
+     * highlighted.
+     *
+     * @return Boolean whether a submenu was opened.
+     */
+    function openHighlightedSubmenu(dropdown) {
+
+        dropdown = getInnermostDropdown(dropdown);
+
+        var item = dropdown.highlightedResult;
+        if (item && item.submenu) {
+            dropdown.highlight(item);
+            return !!dropdown.submenu;
+        } else {
+            return false;
+        }
+    }
+
+    function open() {
+
+        if (selectivity.options.showDropdown !== false) {
+            selectivity.open();
+        }
+    }
+
+    /**
+     * Adds a typed character to the type-ahead term and highlights the next item whose text starts
+     * with the term, or selects it if the dropdown is closed. Typing the same character repeatedly
+     * cycles through the items starting with that character.
+     */
+    function jumpToTypedItem(character) {
+
+        clearTimeout(typeAheadTimeout);
+        typeAheadTimeout = setTimeout(function() {
+            typeAheadTerm = '';
+        }, TYPE_AHEAD_DELAY);
+
+        typeAheadTerm += character;
+
+        var dropdown = selectivity.dropdown;
+        var items, currentId;
+        if (dropdown) {
+            dropdown = getInnermostDropdown(dropdown);
+            items = Selectivity.getSelectableItems(dropdown.results);
+            currentId = (dropdown.highlightedResult ? dropdown.highlightedResult.id : null);
+        } else if (selectivity.enabled) {
+            items = Selectivity.getSelectableItems(selectivity.items || []);
+            currentId = selectivity.value();
+        } else {
+            return;
+        }
+
+        var term = Selectivity.transformText(typeAheadTerm);
+        var cycle = term.split('').every(function(ch) {
+            return ch === term.charAt(0);
+        });
+        if (cycle) {
+            term = term.charAt(0);
+        }
+
+        // when cycling, we start looking after the current item, otherwise the current item is
+        // kept as long as it still matches
+        var currentIndex = Selectivity.findIndexById(items, currentId);
+        var startIndex = (cycle ? currentIndex + 1 : Math.max(currentIndex, 0));
+        for (var i = 0, length = items.length; i < length; i++) {
+            var index = (startIndex + i) % length;
+            var item = items[index];
+            if (Selectivity.transformText(item.text).indexOf(term) === 0) {
+                if (dropdown) {
+                    highlightIndex(dropdown, items, index, false);
+                } else if (item.id !== currentId) {
+                    var selectOptions = { id: item.id, item: item };
+                    if (selectivity.triggerEvent('selectivity-selecting', selectOptions)) {
+                        selectivity.triggerEvent('selectivity-selected', selectOptions);
                     }
                 }
+                break;
             }
+        }
+    }
+
+    /**
+     * Selects the highlighted item and, if the dropdown remains open, highlights the item that
+     * followed it.
+     */
+    function selectAndHighlightNext(dropdown) {
 
-            var result = Selectivity.findNestedById(results,
-                                                    selectivity._getItemId($results[index]));
-            if (result) {
-                dropdown.highlight(result, { delay: !!result.submenu });
-                scrollToHighlight();
+        var innermost = getInnermostDropdown(dropdown);
+        var items = getNavigableItems(innermost);
+        var index = getHighlightedIndex(innermost, items);
+        var nextItem = (index > -1 ? items[index + 1] : null);
+
+        dropdown.selectHighlight();
+
+        if (selectivity.dropdown && nextItem && nextItem !== CREATE_ITEM_ENTRY) {
+            innermost = getInnermostDropdown(selectivity.dropdown);
+            items = getNavigableItems(innermost);
+            index = Selectivity.findIndexById(items, nextItem.id);
+            if (index > -1) {
+                highlightIndex(innermost, items, index, false);
             }
         }
     }
 
-    function keyHeld(event) {
-
-        var dropdown = selectivity.dropdown;
-        if (dropdown) {
-            if (event.keyCode === KEY_BACKSPACE) {
-                if (!$input.val()) {
+    /**
+     * Actions to which keys can be bound.
+     *
+     * Every action may implement a keyHeld() and a keyReleased() function, which are called when a
+     * bound key is pressed down and released, respectively. Actions that only implement keyHeld()
+     * cancel the keyup event, so that it doesn't trigger a new search.
+     */
+    var actions = {
+        clear: {
+            keyHeld: function(event) {
+                var dropdown = selectivity.dropdown;
+                if (dropdown && !$input.val()) {
                     if (dropdown.submenu) {
-                        var submenu = dropdown.submenu;
-                        while (submenu.submenu) {
-                            submenu = submenu.submenu;
-                        }
-                        closeSubmenu = submenu;
+                        closeSubmenu = getInnermostDropdown(dropdown);
                     }
 
                     event.preventDefault();
                     keydownCanceled = true;
                 }
-            } else if (event.keyCode === KEY_DOWN_ARROW) {
-                moveHighlight(dropdown, 1);
-            } else if (event.keyCode === KEY_UP_ARROW) {
-                moveHighlight(dropdown, -1);
+            },
+            keyReleased: function() {
+                if (!selectivity.dropdown && selectivity.options.allowClear) {
+                    selectivity.clear();
+                }
+            }
+        },
+        close: {
+            keyReleased: function(event) {
+                if (event.keyCode === KEY_TAB) {
+                    // the focus moves on to the next element, so we let it do so before closing
+                    setTimeout(function() {
+                        selectivity.close({ keepFocus: false });
+                    }, 1);
+                } else {
+                    selectivity.close();
+
+                    event.preventDefault();
+                }
+            }
+        },
+        closeSubmenu: {
+            keyHeld: function(event) {
+                // as long as the caret can still move towards the start of the search input, the
+                // key is used for that instead
+                var input = $input[0];
+                var atStart = (!input.value ||
+                               (input.selectionStart === 0 && input.selectionEnd === 0));
+
+                var dropdown = selectivity.dropdown;
+                if (dropdown && dropdown.submenu && atStart) {
+                    // the submenu is closed when the key is released, so that the keyup event is
+                    // not received by the search input of the parent menu
+                    closeSubmenu = getInnermostDropdown(dropdown);
+
+                    event.preventDefault();
+                    keydownCanceled = true;
+                }
+            }
+        },
+        deselectAll: {
+            keyReleased: function(event) {
+                if (selectivity.dropdown && selectivity.deselectAll) {
+                    selectivity.deselectAll();
+
+                    event.preventDefault();
+                }
+            }
+        },
+        highlightFirst: {
+            keyHeld: function(event) {
+                if (selectivity.dropdown) {
+                    moveHighlightToEdge(selectivity.dropdown, false);
+
+                    event.preventDefault();
+                }
+            }
+        },
+        highlightLast: {
+            keyHeld: function(event) {
+                if (selectivity.dropdown) {
+                    moveHighlightToEdge(selectivity.dropdown, true);
+
+                    event.preventDefault();
+                }
+            }
+        },
+        highlightNext: {
+            keyHeld: function() {
+                if (selectivity.dropdown) {
+                    moveHighlight(selectivity.dropdown, 1);
+                }
+            }
+        },
+        highlightNextPage: {
+            keyHeld: function(event) {
+                if (selectivity.dropdown) {
+                    moveHighlightByPage(selectivity.dropdown, 1);
+
+                    event.preventDefault();
+                }
+            }
+        },
+        highlightPrevious: {
+            keyHeld: function() {
+                if (selectivity.dropdown) {
+                    moveHighlight(selectivity.dropdown, -1);
+                }
+            }
+        },
+        highlightPreviousPage: {
+            keyHeld: function(event) {
+                if (selectivity.dropdown) {
+                    moveHighlightByPage(selectivity.dropdown, -1);
+
+                    event.preventDefault();
+                }
+            }
+        },
+        open: {
+            keyReleased: function(event) {
+                open();
+
+                event.preventDefault();
+            }
+        },
+        openSubmenu: {
+            keyHeld: function(event) {
+                if (selectivity.dropdown && openHighlightedSubmenu(selectivity.dropdown)) {
+                    event.preventDefault();
+                }
+            }
+        },
+        removeLast: {
+            keyReleased: function(event) {
+                var value = selectivity.value();
+                if ($.type(value) === 'array' && value.length) {
+                    selectivity.remove(value[value.length - 1]);
+                }
+
+                event.preventDefault();
+            }
+        },
+        select: {
+            keyReleased: function(event) {
+                if (selectivity.dropdown) {
+                    selectivity.dropdown.selectHighlight();
+                } else {
+                    open();
+                }
+
+                event.preventDefault();
+            }
+        },
+        selectAll: {
+            keyReleased: function(event) {
+                if (selectivity.dropdown && selectivity.selectAll) {
+                    selectivity.selectAll();
+
+                    event.preventDefault();
+                }
+            }
+        },
+        selectAndNext: {
+            keyReleased: function(event) {
+                if (selectivity.dropdown) {
+                    selectAndHighlightNext(selectivity.dropdown);
+                } else {
+                    open();
+                }
+
+                event.preventDefault();
+            }
+        }
+    };
+
+    /**
+     * Returns the action bound to the key combination of a keyboard event, if any.
+     */
+    function getAction(event) {
+
+        // in right-to-left layouts, the meaning of the left and right arrow keys is swapped
+        var keyCode = event.keyCode;
+        if (keyCode === KEY_LEFT_ARROW || keyCode === KEY_RIGHT_ARROW) {
+            if (isRightToLeft()) {
+                keyCode = (keyCode === KEY_LEFT_ARROW ? KEY_RIGHT_ARROW : KEY_LEFT_ARROW);
+            }
+        }
+
+        var keyBindings = selectivity.keyBindings || DEFAULT_KEY_BINDINGS;
+        var actionName = keyBindings[getKeyCombination(keyCode, function(modifier) {
+            return !!event[modifier.toLowerCase() + 'Key'];
+        })];
+        if (actionName === undefined) {
+            // modifiers are ignored unless the combination with them is bound explicitly
+            actionName = keyBindings[getKeyCombination(keyCode, function() { return false; })];
+        }
+        return (actionName ? actions[actionName] : null);
+    }
+
+    function keyHeld(event) {
+
+        var action = getAction(event);
+        if (action) {
+            if (action.keyHeld) {
+                action.keyHeld(event);
             } else if (event.keyCode === KEY_TAB) {
-                setTimeout(function() {
-                    selectivity.close({ keepFocus: false });
-                }, 1);
+                // the keyup event is not received if the focus moves on to the next element, so
+                // the action is performed right away
+                action.keyReleased(event);
+                keydownCanceled = event.isDefaultPrevented();
             }
         }
     }
 
+    function characterTyped(event) {
+
+        var charCode = event.which;
+        if (!typeAhead || event.altKey || event.ctrlKey || event.metaKey || charCode < 32 ||
+            (charCode === 32 && !typeAheadTerm)) {
+            return;
+        }
+
+        jumpToTypedItem(String.fromCharCode(charCode));
+
+        event.preventDefault();
+    }
+
     function keyReleased(event) {
 
-        function open() {
-            if (selectivity.options.showDropdown !== false) {
-                selectivity.open();
-            }
+        var action = getAction(event);
+        if (typeAheadTerm && !action) {
+            // the key was (most likely) used for typing ahead
+            event.preventDefault();
+            return;
         }
 
-        var dropdown = selectivity.dropdown;
         if (keydownCanceled) {
-            event.preventDefault();
+            selectivity.searchSuppressed = true;
             keydownCanceled = false;
 
             if (closeSubmenu) {
@@ -139,35 +655,97 @@ function listener(selectivity, $input) {
                 selectivity.focus();
                 closeSubmenu = null;
             }
-        } else if (event.keyCode === KEY_BACKSPACE) {
-            if (!dropdown && selectivity.options.allowClear) {
-                selectivity.clear();
-            }
-        } else if (event.keyCode === KEY_ENTER && !event.ctrlKey) {
-            if (dropdown) {
-                dropdown.selectHighlight();
-            } else if (selectivity.options.showDropdown !== false) {
-                open();
-            }
+            return;
+        }
 
+        if (selectivity.searchSuppressed) {
+            // the key was handled already by another listener, for instance for navigating
+            // between the selected items of a multiple-select input
             event.preventDefault();
-        } else if (event.keyCode === KEY_ESCAPE) {
-            selectivity.close();
+            return;
+        }
 
-            event.preventDefault();
-        } else if (event.keyCode === KEY_DOWN_ARROW || event.keyCode === KEY_UP_ARROW) {
+        if (!action) {
+            open();
+        } else if (action.keyReleased) {
+            action.keyReleased(event);
+        } else {
             // handled in keyHeld() because the response feels faster and it works with repeated
             // events if the user holds the key for a longer period
             // still, we issue an open() call here in case the dropdown was not yet open...
             open();
 
             event.preventDefault();
-        } else {
-            open();
         }
     }
 
-    $input.on('keydown', keyHeld).on('keyup', keyReleased);
+    $input.on('keydown', keyHeld).on('keypress', characterTyped).on('keyup', keyReleased);
 }
 
 Selectivity.SearchInputListeners.push(listener);
+
+/**
+ * Option listener for the options supported by the keyboard module.
+ *
+ * @param options Options object. In addition to the options supported in the base
+ *                implementation, this may contain the following properties:
+ *                keyBindings - Object for adding, remapping or disabling key bindings. Keys are
+ *                              key names, optionally preceded by modifiers, such as 'Enter',
+ *                              'Ctrl+Down' or 'Alt+Shift+A'. Supported modifiers are Alt, Ctrl,
+ *                              Meta and Shift, and supported key names are letters, digits,
+ *                              Backspace, Delete, Down, End, Enter, Escape, Home, Left, PageDown,
+ *                              PageUp, Right, Space, Tab and Up. In right-to-left layouts, Left and
+ *                              Right are swapped. Modifiers pressed along with a key are ignored
+ *                              if the combination is not bound, so Shift+Enter performs the action
+ *                              bound to Enter, except for Ctrl+Enter, which is disabled by
+ *                              default. Values are the names of the actions to perform, or null to
+ *                              disable a default binding. The supported actions are:
+ *                              clear - Clears the selection if the dropdown is closed and the
+ *                                      allowClear option is set, or closes the deepest submenu if
+ *                                      the search input is empty (default: Backspace).
+ *                              close - Closes the dropdown (default: Escape, Tab, Shift+Tab).
+ *                              closeSubmenu - Closes the deepest submenu if the caret is at the
+ *                                             start of the search input (default: Left).
+ *                              deselectAll - Removes all selected items matching the search term
+ *                                            of a multiple-select input while its dropdown is
+ *                                            open (default: Ctrl+Shift+D).
+ *                              highlightFirst - Highlights the first result item (default: Home).
+ *                              highlightLast - Highlights the last result item (default: End).
+ *                              highlightNext - Highlights the next result item (default: Down).
+ *                              highlightNextPage - Moves the highlight down by a page (default:
+ *                                                  PageDown).
+ *                              highlightPrevious - Highlights the previous result item (default:
+ *                                                  Up).
+ *                              highlightPreviousPage - Moves the highlight up by a page (default:
+ *                                                      PageUp).
+ *                              open - Opens the dropdown.
+ *                              openSubmenu - Opens the submenu of the highlighted item (default:
+ *                                            Right).
+ *                              removeLast - Removes the last selected item of a multiple-select
+ *                                           input.
+ *                              select - Selects the highlighted item, or opens the dropdown if it
+ *                                       is closed (default: Enter).
+ *                              selectAll - Adds all results matching the search term to the
+ *                                          selection of a multiple-select input while its
+ *                                          dropdown is open (default: Ctrl+Shift+A).
+ *                              selectAndNext - Selects the highlighted item and highlights the
+ *                                              next one, if the dropdown remains open.
+ *                wrapAround - Set to false to stop the highlight from wrapping around to the other
+ *                             end of the results when the user moves past the first or last result
+ *                             item using the arrow keys. The default is true.
+ */
+Selectivity.OptionListeners.push(function(selectivity, options) {
+
+    options.allowedTypes = $.extend({
+        keyBindings: 'object|null',
+        wrapAround: 'boolean'
+    }, options.allowedTypes);
+
+    var keyBindings = options.keyBindings;
+    if ($.type(keyBindings) === 'object') {
+        var defaultKeyBindings = $.extend({}, DEFAULT_KEY_BINDINGS);
+        selectivity.keyBindings = parseKeyBindings(keyBindings, defaultKeyBindings);
+    } else if (keyBindings === null) {
+        selectivity.keyBindings = null;
+    }
+});
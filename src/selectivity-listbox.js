@@ -0,0 +1,392 @@
+'use strict';
+
+var $ = require('jquery');
+
+var Selectivity = require('./selectivity-base');
+
+var KEY_A = 65;
+var KEY_DOWN_ARROW = 40;
+var KEY_END = 35;
+var KEY_ENTER = 13;
+var KEY_HOME = 36;
+var KEY_SPACE = 32;
+var KEY_UP_ARROW = 38;
+
+/**
+ * ListboxSelectivity Constructor.
+ *
+ * A listbox shows the list of items permanently inside its element, like a native select element
+ * with a size attribute, rather than in a dropdown.
+ *
+ * @param options Options object. Accepts all options from the Selectivity Base Constructor in
+ *                addition to those accepted by ListboxSelectivity.setOptions().
+ */
+function ListboxSelectivity(options) {
+
+    var Dropdown = (options && options.dropdown) || Selectivity.Dropdown;
+    if (!Dropdown) {
+        throw new Error('Listbox input type requires the selectivity-dropdown module to be ' +
+                        'loaded');
+    }
+
+    Selectivity.call(this, options);
+
+    var searchInputHtml = (this.options.showSearchInput ? this.template('listboxSearchInput', {
+        placeholder: this.options.searchInputPlaceholder
+    }) : '');
+    this.$el.html(searchInputHtml).trigger('selectivity-init', 'listbox');
+
+    this._anchorId = null;
+    this._selectionModifiers = null;
+
+    this.dropdown = new Dropdown({ inline: true, selectivity: this });
+
+    this._$list = this.dropdown.$results.attr({
+        'aria-multiselectable': '' + !!this.options.multiple,
+        tabindex: 0
+    });
+
+    var $input = this.$('.selectivity-listbox-search-input');
+    if ($input.length) {
+        $input.attr('aria-controls', this._$list.attr('id'));
+
+        this._term = '';
+        $input.on('input keyup', this._searchInputChanged.bind(this));
+    }
+
+    this.search('');
+}
+
+/**
+ * Methods.
+ */
+var callSuper = Selectivity.inherits(ListboxSelectivity, {
+
+    /**
+     * Events map.
+     *
+     * Follows the same format as Backbone: http://backbonejs.org/#View-delegateEvents
+     */
+    events: {
+        'change': '_rerenderSelection',
+        'keydown': '_keyHeld',
+        'mousedown .selectivity-result-item': '_resultMouseDown',
+        'selectivity-highlight': '_highlighted',
+        'selectivity-selected': '_resultSelected'
+    },
+
+    /**
+     * Clears the data and value.
+     */
+    clear: function() {
+
+        this.data(null);
+    },
+
+    /**
+     * @inherit
+     *
+     * The list of a listbox is always shown, so this method does nothing.
+     */
+    close: function() {},
+
+    /**
+     * @inherit
+     */
+    destroy: function() {
+
+        if (this.dropdown) {
+            this.dropdown.close();
+            this.dropdown = null;
+        }
+
+        callSuper(this, 'destroy');
+    },
+
+    /**
+     * @inherit
+     */
+    focus: function() {
+
+        var $input = this.$('.selectivity-listbox-search-input');
+        ($input.length ? $input : this._$list).focus();
+    },
+
+    /**
+     * Returns the correct data for a given value.
+     *
+     * @param value The value to get the data for. Should be an ID, or an array of IDs if the
+     *              multiple option is set.
+     *
+     * @return The corresponding data. Will be an object with 'id' and 'text' properties, or an
+     *         array of such objects if the multiple option is set.
+     */
+    getDataForValue: function(value) {
+
+        if (this.options.multiple) {
+            return value.map(this.getItemForId.bind(this)).filter(function(item) {
+                return !!item;
+            });
+        } else {
+            return this.getItemForId(value);
+        }
+    },
+
+    /**
+     * Returns the correct value for the given data.
+     *
+     * @param data The data to get the value for.
+     *
+     * @return The corresponding value. Will be an ID or null, or an array of IDs if the multiple
+     *         option is set.
+     */
+    getValueForData: function(data) {
+
+        if (this.options.multiple) {
+            return data.map(function(item) { return item.id; });
+        } else {
+            return (data ? data.id : null);
+        }
+    },
+
+    /**
+     * @inherit
+     *
+     * The list of a listbox is always shown, so this method does nothing.
+     */
+    open: function() {},
+
+    /**
+     * @inherit
+     *
+     * @param options Options object. In addition to the options supported in the base
+     *                implementation, this may contain the following properties:
+     *                multiple - Boolean whether multiple items may be selected. If true, the user
+     *                           can select a range of items by holding Shift and toggle items by
+     *                           holding Ctrl (or Cmd) while clicking items or using the arrow keys.
+     *                           The value is an array of IDs in that case. This option can only be
+     *                           set when the instance is created. The default is false.
+     *                searchInputPlaceholder - Optional placeholder text to display in the search
+     *                                         input.
+     *                showSearchInput - Boolean whether a search input for filtering the items
+     *                                  should be shown above the list. The default is false.
+     */
+    setOptions: function(options) {
+
+        options = options || {};
+
+        // the list is only created after the options are first set
+        var multiple = !!this.options.multiple;
+        if (this._$list && options.multiple !== undefined && options.multiple !== multiple) {
+            throw new Error('The multiple option can only be set when the instance is created');
+        }
+
+        options.allowedTypes = $.extend({
+            multiple: 'boolean',
+            showSearchInput: 'boolean'
+        }, options.allowedTypes);
+
+        callSuper(this, 'setOptions', options);
+    },
+
+    /**
+     * Validates data to set. Throws an exception if the data is invalid.
+     *
+     * @param data The data to validate. Should be an object with 'id' and 'text' properties or
+     *             null, or an array of such objects if the multiple option is set.
+     *
+     * @return The validated data. This may differ from the input data.
+     */
+    validateData: function(data) {
+
+        if (this.options.multiple) {
+            if (data === null) {
+                return [];
+            } else if ($.type(data) === 'array') {
+                return data.map(this.validateItem.bind(this));
+            } else {
+                throw new Error('Data for multi-select ListboxSelectivity instance should be ' +
+                                'an array');
+            }
+        } else {
+            return (data === null ? data : this.validateItem(data));
+        }
+    },
+
+    /**
+     * Validates a value to set. Throws an exception if the value is invalid.
+     *
+     * @param value The value to validate. Should be null or a valid ID, or an array of IDs if the
+     *              multiple option is set.
+     *
+     * @return The validated value. This may differ from the input value.
+     */
+    validateValue: function(value) {
+
+        if (this.options.multiple) {
+            if (value === null) {
+                return [];
+            } else if ($.type(value) === 'array' && value.every(Selectivity.isValidId)) {
+                return value;
+            } else {
+                throw new Error('Value for multi-select ListboxSelectivity instance should be an ' +
+                                'array of IDs');
+            }
+        } else if (value === null || Selectivity.isValidId(value)) {
+            return value;
+        } else {
+            throw new Error('Value for ListboxSelectivity instance should be a valid ID or null');
+        }
+    },
+
+    /**
+     * @private
+     */
+    _highlighted: function(event) {
+
+        // the highlighted item is referred to by whichever element has the focus, which is the
+        // search input when the user is filtering the items
+        var $elements = this._$list.add(this.$('.selectivity-listbox-search-input'));
+        if (event.item) {
+            var quotedId = Selectivity.quoteCssAttr(event.id);
+            var $item = this._$list.find('.selectivity-result-item[data-item-id=' + quotedId + ']');
+            $elements.attr('aria-activedescendant', $item.attr('id'));
+        } else {
+            $elements.removeAttr('aria-activedescendant');
+        }
+    },
+
+    /**
+     * @private
+     */
+    _keyHeld: function(event) {
+
+        var $input = this.$('.selectivity-listbox-search-input');
+        var inSearchInput = ($input.length && event.target === $input[0]);
+        var toggle = (event.ctrlKey || event.metaKey);
+        var multiple = this.options.multiple;
+
+        var dropdown = this.dropdown;
+        var items = Selectivity.getSelectableItems(dropdown.results);
+        var highlighted = dropdown.highlightedResult;
+        var index = (highlighted ? Selectivity.findIndexById(items, highlighted.id) : -1);
+
+        var keyCode = event.keyCode;
+        if (keyCode === KEY_UP_ARROW || keyCode === KEY_DOWN_ARROW ||
+            (!inSearchInput && (keyCode === KEY_HOME || keyCode === KEY_END))) {
+            if (keyCode === KEY_HOME) {
+                index = 0;
+            } else if (keyCode === KEY_END) {
+                index = items.length - 1;
+            } else {
+                index += (keyCode === KEY_DOWN_ARROW ? 1 : -1);
+            }
+
+            var item = items[Math.max(Math.min(index, items.length - 1), 0)];
+            if (item) {
+                dropdown.highlight(item);
+                dropdown.scrollToHighlight({ alignToTop: keyCode === KEY_UP_ARROW });
+
+                // in multi-select listboxes, holding Ctrl only moves the highlight
+                if (!multiple || !toggle) {
+                    this._selectItem(item.id, { extend: multiple && event.shiftKey });
+                }
+            }
+        } else if (keyCode === KEY_ENTER || (keyCode === KEY_SPACE && !inSearchInput)) {
+            if (highlighted) {
+                this._selectItem(highlighted.id, { toggle: true });
+            }
+        } else if (keyCode === KEY_A && toggle && multiple && !inSearchInput) {
+            if (this.enabled) {
+                this.data(items);
+            }
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+    },
+
+    /**
+     * @private
+     */
+    _rerenderSelection: function() {
+
+        this.dropdown.updateSelection();
+    },
+
+    /**
+     * @private
+     */
+    _resultMouseDown: function(event) {
+
+        this._selectionModifiers = {
+            extend: event.shiftKey,
+            toggle: event.ctrlKey || event.metaKey
+        };
+    },
+
+    /**
+     * @private
+     */
+    _resultSelected: function(event) {
+
+        var modifiers = this._selectionModifiers || {};
+        this._selectionModifiers = null;
+
+        if (!this.enabled) {
+            return;
+        }
+
+        if (!this.options.multiple) {
+            this.data(event.item);
+            return;
+        }
+
+        var id = event.id;
+        var items = Selectivity.getSelectableItems(this.dropdown.results);
+        var anchorIndex = Selectivity.findIndexById(items, this._anchorId);
+        if (modifiers.extend && anchorIndex > -1) {
+            var index = Selectivity.findIndexById(items, id);
+            var range = items.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+            this.data(modifiers.toggle ? this._data.concat(range.filter(function(item) {
+                return this._value.indexOf(item.id) === -1;
+            }, this)) : range);
+        } else {
+            if (!modifiers.toggle) {
+                this.data([event.item]);
+            } else if (this._value.indexOf(id) > -1) {
+                this.data(this._data.filter(function(item) { return item.id !== id; }));
+            } else {
+                this.data(this._data.concat(event.item));
+            }
+
+            this._anchorId = id;
+        }
+    },
+
+    /**
+     * @private
+     */
+    _searchInputChanged: function(event) {
+
+        var term = $(event.target).val();
+        if (term !== this._term) {
+            this._term = term;
+            this.search(term);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _selectItem: function(id, modifiers) {
+
+        this._selectionModifiers = modifiers;
+        this.dropdown.selectItem(id);
+        this._selectionModifiers = null;
+    }
+
+});
+
+module.exports = Selectivity.InputTypes.Listbox = ListboxSelectivity;
@@ -12,12 +12,39 @@ var Selectivity = require('./selectivity-base');
 Selectivity.Locale = {
 
     ajaxError: function(term) { return 'Failed to fetch results for <b>' + escape(term) + '</b>'; },
+    close: 'Close',
+    createItem: function(term) { return 'Add <b>' + escape(term) + '</b>'; },
+    createItemError: function(term) { return 'Failed to add <b>' + escape(term) + '</b>'; },
+    deselectAll: 'Deselect all',
+    done: 'Done',
+    groupSelectAll: 'All',
+    groupSelectNone: 'None',
+    itemAdded: function(text) { return '<b>' + escape(text) + '</b> added'; },
+    itemMoved: function(text, position) {
+        return '<b>' + escape(text) + '</b> moved to position ' + position;
+    },
+    itemRemoved: function(text) { return '<b>' + escape(text) + '</b> removed'; },
+    itemsAdded: function(numItems) {
+        return (numItems === 1 ? '1 item added' : numItems + ' items added');
+    },
+    itemsRemoved: function(numItems) {
+        return (numItems === 1 ? '1 item removed' : numItems + ' items removed');
+    },
+    itemsSelected: function(numItems) { return numItems + ' selected'; },
     loading: 'Loading...',
     loadMore: 'Load more...',
+    maximumSelected: function(maximum) {
+        return 'You can only select ' + maximum + (maximum === 1 ? ' item' : ' items');
+    },
     needMoreCharacters: function(numCharacters) {
         return 'Enter ' + numCharacters + ' more characters to search';
     },
     noResults: 'No results found',
-    noResultsForTerm: function(term) { return 'No results for <b>' + escape(term) + '</b>'; }
+    noResultsForTerm: function(term) { return 'No results for <b>' + escape(term) + '</b>'; },
+    resultsAvailable: function(numResults) {
+        return (numResults === 1 ? '1 result available' : numResults + ' results available');
+    },
+    retry: 'Retry',
+    selectAll: 'Select all'
 
 };
@@ -4,9 +4,33 @@ var $ = require('jquery');
 
 var Selectivity = require('./selectivity-base');
 
+require('./selectivity-locale');
+
 var KEY_BACKSPACE = 8;
 var KEY_DELETE = 46;
+var KEY_END = 35;
 var KEY_ENTER = 13;
+var KEY_HOME = 36;
+var KEY_LEFT_ARROW = 37;
+var KEY_RIGHT_ARROW = 39;
+
+// distance in pixels the pointer should move before dragging a selected item starts
+var DRAG_THRESHOLD = 5;
+
+/**
+ * Returns the position of the mouse pointer or the first touch point of an event, relative to the
+ * viewport.
+ */
+function getPointerPosition(event) {
+
+    var originalEvent = event.originalEvent || event;
+    var touches = originalEvent.touches;
+    if (!touches || !touches.length) {
+        touches = originalEvent.changedTouches;
+    }
+    var point = (touches && touches.length ? touches[0] : originalEvent);
+    return { x: point.clientX, y: point.clientY };
+}
 
 /**
  * MultipleSelectivity Constructor.
@@ -23,30 +47,20 @@ function MultipleSelectivity(options) {
 
     this._highlightedItemId = null;
 
-    this.initSearchInput(this.$('.selectivity-multiple-input:not(.selectivity-width-detector)'));
+    this._clearing = false;
 
-    this._rerenderSelection();
+    this._drag = null;
+    this._dragged = false;
+    this._dragEndedProxy = this._dragEnded.bind(this);
+    this._dragMovedProxy = this._dragMoved.bind(this);
 
-    if (!options.positionDropdown) {
-        // dropdowns for multiple-value inputs should open below the select box,
-        // unless there is not enough space below, but there is space enough above, then it should
-        // open upwards
-        this.options.positionDropdown = function($el, $selectEl) {
-            var position = $selectEl.position(),
-                dropdownHeight = $el.height(),
-                selectHeight = $selectEl.height(),
-                top = $selectEl[0].getBoundingClientRect().top,
-                bottom = top + selectHeight + dropdownHeight,
-                openUpwards = (typeof window !== 'undefined' && bottom > $(window).height() &&
-                               top - dropdownHeight > 0);
-
-            var width = $selectEl.outerWidth ? $selectEl.outerWidth() : $selectEl.width();
-            $el.css({
-                left: position.left + 'px',
-                top: position.top + (openUpwards ? -dropdownHeight : selectHeight) + 'px'
-            }).width(width);
-        };
-    }
+    // the input of the element itself, which differs from the search input while a full-screen
+    // dropdown with its own search input is open
+    this._$input = this.$('.selectivity-multiple-input:not(.selectivity-width-detector)');
+
+    this.initSearchInput(this._$input);
+
+    this._rerenderSelection();
 }
 
 /**
@@ -57,36 +71,25 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
     /**
      * Adds an item to the selection, if it's not selected yet.
      *
+     * Nothing is added if the maximum selection size has been reached.
+     *
      * @param item The item to add. May be an item with 'id' and 'text' properties or just an ID.
+     *             May also be an array of items with 'id' and 'text' properties, in which case
+     *             they are added as far as the maximum selection size allows and a single change
+     *             event is triggered with an 'added' property containing the array of added items.
      */
     add: function(item) {
 
-        var itemIsId = Selectivity.isValidId(item);
-        var id = (itemIsId ? item : this.validateItem(item) && item.id);
-
-        if (this._value.indexOf(id) === -1) {
-            this._value.push(id);
-
-            if (itemIsId && this.options.initSelection) {
-                this.options.initSelection([id], function(data) {
-                    if (this._value.indexOf(id) > -1) {
-                        item = this.validateItem(data[0]);
-                        this._data.push(item);
-
-                        this.triggerChange({ added: item });
-                    }
-                }.bind(this));
-            } else {
-                if (itemIsId) {
-                    item = this.getItemForId(id);
-                }
-                this._data.push(item);
-
-                this.triggerChange({ added: item });
-            }
+        if ($.type(item) === 'array') {
+            this._addItems(item.map(this.validateItem.bind(this)));
+        } else {
+            this._addItem(item);
         }
 
-        this.$searchInput.val('');
+        // with checkboxes, the user may want to select more items matching the same search term
+        if (!this.options.checkboxes) {
+            this.$searchInput.val('');
+        }
     },
 
     /**
@@ -94,7 +97,29 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      */
     clear: function() {
 
+        // clearing the selection is allowed even if it contains the minimum number of items
+        this._clearing = true;
         this.data([]);
+        this._clearing = false;
+    },
+
+    /**
+     * Removes all selected items matching a search term from the selection.
+     *
+     * Only items defined through the items option can be matched. Disabled items are not removed,
+     * and no more items are removed than the minimum selection size allows. A single change event
+     * is triggered with a 'removed' property containing the array of removed items.
+     *
+     * @param term Optional search term to match the items against. By default, the term of the
+     *             last search is used, which is the term by which the results in the dropdown are
+     *             filtered while it is open.
+     */
+    deselectAll: function(term) {
+
+        var matchingItems = this._getMatchingItems(term);
+        this.remove(this._data.filter(function(item) {
+            return !!Selectivity.findById(matchingItems, item.id);
+        }));
     },
 
     /**
@@ -109,8 +134,10 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
         'click .selectivity-multiple-selected-item': '_itemClicked',
         'keydown .selectivity-multiple-input': '_keyHeld',
         'keyup .selectivity-multiple-input': '_keyReleased',
+        'mousedown .selectivity-multiple-selected-item': '_itemPressed',
         'paste .selectivity-multiple-input': '_onPaste',
-        'selectivity-selected': '_resultSelected'
+        'selectivity-selected': '_resultSelected',
+        'touchstart .selectivity-multiple-selected-item': '_itemPressed'
     },
 
     /**
@@ -118,6 +145,10 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      */
     filterResults: function(results) {
 
+        if (this.options.checkboxes) {
+            return results;
+        }
+
         return results.filter(function(item) {
             return !Selectivity.findById(this._data, item.id);
         }, this);
@@ -150,13 +181,62 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
         return data.map(function(item) { return item.id; });
     },
 
+    /**
+     * Moves a selected item to another position in the selection.
+     *
+     * Before the item is moved, a 'selectivity-moving' event is triggered, which has 'id', 'item',
+     * 'from' and 'to' properties. The move can be cancelled by calling preventDefault() on this
+     * event. After the item is moved, a change event is triggered with a 'moved' property
+     * containing an object with 'item', 'from' and 'to' properties.
+     *
+     * @param item The item to move. May be an item with 'id' and 'text' properties or just an ID.
+     * @param index The new index of the item in the selection. Nothing is moved if the index is not
+     *              within the bounds of the selection.
+     */
+    move: function(item, index) {
+
+        var id = ($.type(item) === 'object' ? item.id : item);
+
+        var from = Selectivity.findIndexById(this._data, id);
+        if (from > -1 && index !== from && index >= 0 && index < this._data.length) {
+            var movedItem = this._data[from];
+            var options = { id: id, item: movedItem, from: from, to: index };
+            if (this.triggerEvent('selectivity-moving', options)) {
+                this._data.splice(from, 1);
+                this._data.splice(index, 0, movedItem);
+
+                var valueIndex = this._value.indexOf(id);
+                if (valueIndex > -1) {
+                    this._value.splice(valueIndex, 1);
+                    this._value.splice(index, 0, id);
+                }
+
+                this.triggerChange({ moved: { item: movedItem, from: from, to: index } });
+            }
+        }
+    },
+
     /**
      * Removes an item from the selection, if it is selected.
      *
+     * Nothing is removed if the selection does not contain more items than the minimum selection
+     * size.
+     *
      * @param item The item to remove. May be an item with 'id' and 'text' properties or just an ID.
+     *             May also be an array of items or IDs, in which case a single change event is
+     *             triggered with a 'removed' property containing the array of removed items.
      */
     remove: function(item) {
 
+        if ($.type(item) === 'array') {
+            this._removeItems(item);
+            return;
+        }
+
+        if (this._value.length <= (this.options.minimumSelectionSize || 0)) {
+            return;
+        }
+
         var id = ($.type(item) === 'object' ? item.id : item);
 
         var removedItem;
@@ -185,25 +265,48 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
     /**
      * @inherit
      */
-    search: function() {
-
-        var term = this.$searchInput.val();
-
-        if (this.options.tokenizer) {
-            term = this.options.tokenizer(term, this._data, this.add.bind(this), this.options);
-
-            if ($.type(term) === 'string') {
-                this.$searchInput.val(term);
-            } else {
-                term = '';
+    search: function(term) {
+
+        if (!term) {
+            // without an explicit term (such as the one of a retried query), the term is taken
+            // from the search input, which may already contain text when the dropdown is opened
+            if (this.options.tokenizer) {
+                var remainder = this.options.tokenizer(this.$searchInput.val(), this._data,
+                                                       this.add.bind(this), this.options);
+                if ($.type(remainder) === 'string') {
+                    this.$searchInput.val(remainder);
+                }
             }
+            term = this.$searchInput.val();
         }
 
         if (this.dropdown) {
-            callSuper(this, 'search');
+            if (this._hasMaximumSelection() && !this.options.checkboxes) {
+                var maximum = this.options.maximumSelectionSize;
+                this.dropdown.showError(Selectivity.Locale.maximumSelected(maximum));
+            } else {
+                callSuper(this, 'search', term);
+            }
         }
     },
 
+    /**
+     * Adds all items matching a search term to the selection.
+     *
+     * Only items defined through the items option can be matched, including items nested inside
+     * the children of other items. Disabled items are skipped, and no more items are added than the
+     * maximum selection size allows. A single change event is triggered with an 'added' property
+     * containing the array of added items.
+     *
+     * @param term Optional search term to match the items against. By default, the term of the
+     *             last search is used, which is the term by which the results in the dropdown are
+     *             filtered while it is open.
+     */
+    selectAll: function(term) {
+
+        this.add(this._getMatchingItems(term));
+    },
+
     /**
      * @inherit
      *
@@ -218,6 +321,20 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      *                                                  deleted on the first backspace. The default
      *                                                  value is true on devices that have touch
      *                                                  input and false on devices that don't.
+     *                                                  Either way, a selected item that has been
+     *                                                  highlighted, for instance using the arrow
+     *                                                  keys, is deleted by a backspace.
+     *                bulkActions - Set to true to show actions at the top of the dropdown for
+     *                              selecting all results and for deselecting all selected items
+     *                              matching the search term, as with selectAll() and
+     *                              deselectAll(). Only supported with local items. The default is
+     *                              false.
+     *                checkboxes - Set to true to keep selected items among the results in the
+     *                             dropdown, where they are shown with a checked checkbox. Selecting
+     *                             an item then toggles it, and the labels of groups of items offer
+     *                             actions to select or deselect all items in the group. Unless the
+     *                             closeOnSelect option is set, the dropdown stays open after
+     *                             selecting an item. The default is false.
      *                createTokenItem - Function to create a new item from a user's search term.
      *                                  This is used to turn the term into an item when dropdowns
      *                                  are disabled and the user presses Enter. It is also used by
@@ -229,6 +346,24 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      *                                  The default is a function that returns an item where the id
      *                                  and text both match the token for any non-empty string and
      *                                  which returns null otherwise.
+     *                maximumSelectionSize - Maximum number of items the user can select. Once the
+     *                                       maximum is reached, no more items are added and the
+     *                                       dropdown shows a message instead of results. Setting
+     *                                       data or a value with more items throws an exception.
+     *                                       The default value is 0, which means there is no
+     *                                       maximum.
+     *                minimumSelectionSize - Minimum number of items that should remain selected.
+     *                                       The user cannot remove items when no more than this
+     *                                       number of items is selected, and neither can
+     *                                       remove(). Setting data or a value with fewer items
+     *                                       throws an exception, unless the current selection has
+     *                                       fewer items as well (so that an initially empty
+     *                                       selection can still be filled). Only clear() can
+     *                                       always empty the selection. The default value is 0.
+     *                summarizeSelection - Maximum number of selected items to show individually.
+     *                                     When more items are selected, the selection is
+     *                                     summarized, as in '3 selected', to save space. By
+     *                                     default, all selected items are shown.
      *                tokenizer - Function for tokenizing search terms. Will receive the following
      *                            parameters:
      *                            input - The input string to tokenize.
@@ -249,7 +384,13 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
             options[backspaceHighlightsBeforeDelete] = this.hasTouch;
         }
 
-        options.allowedTypes = options.allowedTypes || {};
+        options.allowedTypes = $.extend({
+            bulkActions: 'boolean',
+            checkboxes: 'boolean',
+            maximumSelectionSize: 'number',
+            minimumSelectionSize: 'number',
+            summarizeSelection: 'number'
+        }, options.allowedTypes);
         options.allowedTypes[backspaceHighlightsBeforeDelete] = 'boolean';
 
         callSuper(this, 'setOptions', options);
@@ -266,8 +407,11 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
     validateData: function(data) {
 
         if (data === null) {
+            this._validateSelectionSize(0);
             return [];
         } else if ($.type(data) === 'array') {
+            this._validateSelectionSize(data.length);
+
             return data.map(this.validateItem.bind(this));
         } else {
             throw new Error('Data for MultiSelectivity instance should be array');
@@ -284,8 +428,11 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
     validateValue: function(value) {
 
         if (value === null) {
+            this._validateSelectionSize(0);
             return [];
         } else if ($.type(value) === 'array') {
+            this._validateSelectionSize(value.length);
+
             if (value.every(Selectivity.isValidId)) {
                 return value;
             } else {
@@ -296,15 +443,66 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
         }
     },
 
+    /**
+     * @private
+     */
+    _addItem: function(item) {
+
+        var itemIsId = Selectivity.isValidId(item);
+        var id = (itemIsId ? item : this.validateItem(item) && item.id);
+
+        if (this._value.indexOf(id) === -1 && !this._hasMaximumSelection()) {
+            this._value.push(id);
+
+            if (itemIsId && this.options.initSelection) {
+                this.options.initSelection([id], function(data) {
+                    if (this._value.indexOf(id) > -1) {
+                        item = this.validateItem(data[0]);
+                        this._data.push(item);
+
+                        this.triggerChange({ added: item });
+                    }
+                }.bind(this));
+            } else {
+                if (itemIsId) {
+                    item = this.getItemForId(id);
+                }
+                this._data.push(item);
+
+                this.triggerChange({ added: item });
+            }
+        }
+    },
+
+    /**
+     * @private
+     */
+    _addItems: function(items) {
+
+        var added = items.filter(function(item) {
+            if (this._value.indexOf(item.id) === -1 && !this._hasMaximumSelection()) {
+                this._value.push(item.id);
+                this._data.push(item);
+                return true;
+            } else {
+                return false;
+            }
+        }, this);
+
+        if (added.length) {
+            this.triggerChange({ added: added });
+        }
+    },
+
     /**
      * @private
      */
     _backspacePressed: function() {
 
-        if (this.options.backspaceHighlightsBeforeDelete) {
-            if (this._highlightedItemId) {
-                this._deletePressed();
-            } else if (this._value.length) {
+        if (this._highlightedItemId) {
+            this._deletePressed();
+        } else if (this.options.backspaceHighlightsBeforeDelete) {
+            if (this._value.length) {
                 this._highlightItem(this._value.slice(-1)[0]);
             }
         } else if (this._value.length) {
@@ -317,6 +515,10 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      */
     _clicked: function() {
 
+        if (this._dragged) {
+            return false; // the click ends dragging a selected item
+        }
+
         if (this.enabled) {
             this.focus();
 
@@ -331,7 +533,7 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      */
     _createToken: function() {
 
-        var term = this.$searchInput.val();
+        var term = this._$input.val();
         var createTokenItem = this.options.createTokenItem;
 
         if (term && createTokenItem) {
@@ -352,14 +554,114 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
         }
     },
 
+    /**
+     * @private
+     */
+    _dragEnded: function() {
+
+        var $document = $(this.$el[0].ownerDocument);
+        $document.off('mousemove touchmove', this._dragMovedProxy)
+                 .off('mouseup touchend touchcancel', this._dragEndedProxy);
+
+        var drag = this._drag;
+        this._drag = null;
+
+        if (drag && drag.started) {
+            // suppress the click event that follows the end of the drag
+            this._dragged = true;
+            setTimeout(function() {
+                this._dragged = false;
+            }.bind(this), 1);
+
+            var quotedId = Selectivity.quoteCssAttr(drag.id);
+            this.$('.selectivity-multiple-selected-item[data-item-id=' + quotedId + ']')
+                .removeClass('dragging');
+
+            this.move(drag.id, drag.index);
+
+            if (Selectivity.findIndexById(this._data, drag.id) !== drag.index) {
+                // the move was cancelled, restore the original order
+                this._rerenderSelection();
+            }
+        }
+    },
+
+    /**
+     * @private
+     */
+    _dragMoved: function(event) {
+
+        var drag = this._drag;
+        var position = getPointerPosition(event);
+        if (!drag.started) {
+            if (Math.abs(position.x - drag.start.x) < DRAG_THRESHOLD &&
+                Math.abs(position.y - drag.start.y) < DRAG_THRESHOLD) {
+                return;
+            }
+            drag.started = true;
+        }
+
+        event.preventDefault();
+
+        // while dragging, the dragged item is moved between the other items so the user can see
+        // where it will be dropped. the items before the drop position are those on earlier lines
+        // and those on the same line whose center is left of the pointer
+        var quotedId = Selectivity.quoteCssAttr(drag.id);
+        var $item = this.$('.selectivity-multiple-selected-item[data-item-id=' + quotedId + ']');
+        var $otherItems = this.$('.selectivity-multiple-selected-item').not($item);
+
+        var index = 0;
+        $otherItems.each(function() {
+            var rect = this.getBoundingClientRect();
+            if (position.y >= rect.bottom ||
+                (position.y >= rect.top && position.x > rect.left + rect.width / 2)) {
+                index++;
+            }
+        });
+
+        $item.addClass('dragging');
+        if (index < $otherItems.length) {
+            $otherItems.eq(index).before($item);
+        } else {
+            this._$input.before($item);
+        }
+
+        drag.index = index;
+    },
+
+    /**
+     * @private
+     */
+    _getMatchingItems: function(term) {
+
+        if (term === undefined) {
+            term = this.term;
+        }
+
+        return (this.items ? Selectivity.getSelectableItems(this._searchItems(term)) : []);
+    },
+
+    /**
+     * @private
+     */
+    _hasMaximumSelection: function() {
+
+        var maximum = this.options.maximumSelectionSize;
+        return !!maximum && this._value.length >= maximum;
+    },
+
     /**
      * @private
      */
     _highlightItem: function(id) {
 
+        // a null ID removes the highlight, so that typing continues in the search input
         this._highlightedItemId = id;
-        this.$('.selectivity-multiple-selected-item').removeClass('highlighted')
-            .filter('[data-item-id=' + Selectivity.quoteCssAttr(id) + ']').addClass('highlighted');
+        var $items = this.$('.selectivity-multiple-selected-item').removeClass('highlighted');
+        if (id !== null) {
+            $items.filter('[data-item-id=' + Selectivity.quoteCssAttr(id) + ']')
+                  .addClass('highlighted');
+        }
 
         if (this.hasKeyboard) {
             this.focus();
@@ -371,11 +673,36 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      */
     _itemClicked: function(event) {
 
+        if (this._dragged) {
+            return false; // the click ends dragging the item
+        }
+
         if (this.enabled) {
             this._highlightItem(this._getItemId(event));
         }
     },
 
+    /**
+     * @private
+     */
+    _itemPressed: function(event) {
+
+        if (!this.enabled || this._drag || event.button ||
+            $(event.target).closest('.selectivity-multiple-selected-item-remove').length) {
+            return;
+        }
+
+        this._drag = {
+            id: this._getItemId(event),
+            start: getPointerPosition(event),
+            started: false
+        };
+
+        var $document = $(this.$el[0].ownerDocument);
+        $document.on('mousemove touchmove', this._dragMovedProxy)
+                 .on('mouseup touchend touchcancel', this._dragEndedProxy);
+    },
+
     /**
      * @private
      */
@@ -393,10 +720,28 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
      */
     _keyHeld: function(event) {
 
-        this._originalValue = this.$searchInput.val();
+        this._originalValue = this._$input.val();
 
         if (event.keyCode === KEY_ENTER && !event.ctrlKey) {
             event.preventDefault();
+        } else if ((event.keyCode === KEY_LEFT_ARROW || event.keyCode === KEY_RIGHT_ARROW) &&
+                   event.ctrlKey && this._highlightedItemId && this.enabled) {
+            var index = this._value.indexOf(this._highlightedItemId);
+            this.move(this._highlightedItemId,
+                      index + (event.keyCode === KEY_LEFT_ARROW ? -1 : 1));
+
+            event.preventDefault();
+            this.searchSuppressed = true;
+        } else if ((event.keyCode === KEY_LEFT_ARROW || event.keyCode === KEY_RIGHT_ARROW ||
+                    event.keyCode === KEY_HOME || event.keyCode === KEY_END) &&
+                   !event.isDefaultPrevented()) {
+            // Home and End are not used for navigating between selected items if they have
+            // already been used for navigating through the results in the dropdown
+            this._navigationKeyPressed(event);
+        } else if ((event.keyCode === KEY_BACKSPACE || event.keyCode === KEY_DELETE) &&
+                   this._highlightedItemId) {
+            // the highlighted item is removed when the key is released, rather than any text
+            event.preventDefault();
         }
     },
 
@@ -411,15 +756,56 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
             if (this.options.createTokenItem) {
                 this._createToken();
             }
-        } else if (event.keyCode === KEY_BACKSPACE && !inputHadText) {
-            this._backspacePressed();
-        } else if (event.keyCode === KEY_DELETE && !inputHadText) {
-            this._deletePressed();
+        } else if (!event.isDefaultPrevented() && (!inputHadText || this._highlightedItemId)) {
+            // the default is prevented if the key was handled already by a key binding, such as
+            // one for removing the last item
+            if (event.keyCode === KEY_BACKSPACE) {
+                this._backspacePressed();
+            } else if (event.keyCode === KEY_DELETE) {
+                this._deletePressed();
+            }
         }
 
         this._updateInputWidth();
     },
 
+    /**
+     * @private
+     */
+    _navigationKeyPressed: function(event) {
+
+        // the arrow keys move the highlight between the selected items, but only move into the
+        // items from the search input if the caret is at the start of the input. moving past the
+        // last item returns to the search input
+        var keyCode = event.keyCode;
+        var value = this._value;
+        var highlightedId = this._highlightedItemId;
+        var index;
+        if (highlightedId) {
+            index = value.indexOf(highlightedId);
+            if (keyCode === KEY_LEFT_ARROW) {
+                index = Math.max(index - 1, 0);
+            } else if (keyCode === KEY_RIGHT_ARROW) {
+                index++;
+            } else {
+                index = (keyCode === KEY_HOME ? 0 : value.length - 1);
+            }
+        } else {
+            var input = this._$input[0];
+            if (!value.length || input.selectionStart !== 0 || input.selectionEnd !== 0 ||
+                keyCode === KEY_RIGHT_ARROW || keyCode === KEY_END) {
+                return;
+            }
+            index = (keyCode === KEY_HOME ? 0 : value.length - 1);
+        }
+
+        this._highlightItem(index < value.length ? value[index] : null);
+
+        // releasing the key should neither open the dropdown nor search
+        event.preventDefault();
+        this.searchSuppressed = true;
+    },
+
     /**
      * @private
      */
@@ -444,9 +830,35 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
         }
     },
 
+    /**
+     * @private
+     */
+    _removeItems: function(items) {
+
+        var minimum = this.options.minimumSelectionSize || 0;
+
+        var removed = [];
+        items.forEach(function(item) {
+            var id = ($.type(item) === 'object' ? item.id : item);
+            var index = Selectivity.findIndexById(this._data, id);
+            if (index > -1 && this._value.length > minimum) {
+                removed.push(this._data.splice(index, 1)[0]);
+                this._value.splice(this._value.indexOf(id), 1);
+
+                if (id === this._highlightedItemId) {
+                    this._highlightedItemId = null;
+                }
+            }
+        }, this);
+
+        if (removed.length) {
+            this.triggerChange({ removed: removed });
+        }
+    },
+
     _renderSelectedItem: function(item) {
 
-        this.$searchInput.before(this.template('multipleSelectedItem', $.extend({
+        this._$input.before(this.template('multipleSelectedItem', $.extend({
             highlighted: (item.id === this._highlightedItemId),
             removable: !this.options.readOnly
         }, item)));
@@ -464,31 +876,81 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
 
         event = event || {};
 
-        if (event.added) {
-            this._renderSelectedItem(event.added);
+        // the selection is rendered anew when it is, or was, summarized
+        var summarized = (this._shouldSummarizeSelection() ||
+                          this.$('.selectivity-multiple-selection-summary').length > 0);
+        if (event.added && !summarized) {
+            [].concat(event.added).forEach(this._renderSelectedItem, this);
 
             this._scrollToBottom();
-        } else if (event.removed) {
-            var quotedId = Selectivity.quoteCssAttr(event.removed.id);
-            this.$('.selectivity-multiple-selected-item[data-item-id=' + quotedId + ']').remove();
+        } else if (event.removed && !summarized) {
+            [].concat(event.removed).forEach(function(item) {
+                var quotedId = Selectivity.quoteCssAttr(item.id);
+                this.$('.selectivity-multiple-selected-item[data-item-id=' + quotedId + ']')
+                    .remove();
+            }, this);
+        } else if (event.moved && !summarized) {
+            var moved = event.moved;
+            var $item = this.$('.selectivity-multiple-selected-item[data-item-id=' +
+                               Selectivity.quoteCssAttr(moved.item.id) + ']');
+            var $otherItems = this.$('.selectivity-multiple-selected-item').not($item);
+            if (moved.to < $otherItems.length) {
+                $otherItems.eq(moved.to).before($item);
+            } else {
+                this._$input.before($item);
+            }
+
+            this.announce(Selectivity.Locale.itemMoved(moved.item.text, moved.to + 1));
         } else {
             this.$('.selectivity-multiple-selected-item').remove();
+            this.$('.selectivity-multiple-selection-summary').remove();
 
-            this._data.forEach(this._renderSelectedItem, this);
+            if (this._shouldSummarizeSelection()) {
+                this._$input.before(this.template('multipleSelectionSummary', {
+                    count: this._data.length
+                }));
+            } else {
+                this._data.forEach(this._renderSelectedItem, this);
+            }
 
             this._updateInputWidth();
         }
 
         if (event.added || event.removed) {
             if (this.dropdown) {
-                this.dropdown.showResults(this.filterResults(this.results), {
-                    hasMore: this.dropdown.hasMore
-                });
+                var maximum = this.options.maximumSelectionSize;
+                var numRemoved = (event.removed ? [].concat(event.removed).length : 0);
+                if (this.options.checkboxes) {
+                    // selected items remain among the results, so only their state is updated
+                    this.dropdown.updateSelection();
+                } else if (this._hasMaximumSelection()) {
+                    this.dropdown.showError(Selectivity.Locale.maximumSelected(maximum));
+                } else if (maximum && this._value.length + numRemoved >= maximum) {
+                    // the dropdown showed the message saying the maximum selection size was reached
+                    // until items were just removed, so the results have to be fetched again
+                    callSuper(this, 'search', this.$searchInput.val());
+                } else {
+                    this.dropdown.showResults(this.filterResults(this.results), {
+                        hasMore: this.dropdown.hasMore
+                    });
+                }
+            }
+
+            var Locale = Selectivity.Locale;
+            if ($.type(event.added) === 'array') {
+                this.announce(Locale.itemsAdded(event.added.length));
+            } else if ($.type(event.removed) === 'array') {
+                this.announce(Locale.itemsRemoved(event.removed.length));
+            } else {
+                this.announce(event.added ? Locale.itemAdded(event.added.text)
+                                          : Locale.itemRemoved(event.removed.text));
             }
 
             if (this.hasKeyboard) {
                 this.focus();
             }
+        } else if (this.dropdown && this.options.checkboxes) {
+            this.dropdown.updateSelection();
         }
 
         this.positionDropdown();
@@ -517,13 +979,22 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
         $inputContainer.scrollTop($inputContainer.height());
     },
 
+    /**
+     * @private
+     */
+    _shouldSummarizeSelection: function() {
+
+        var threshold = this.options.summarizeSelection;
+        return (threshold !== undefined && this._data.length > threshold);
+    },
+
     /**
      * @private
      */
     _updateInputWidth: function() {
 
         if (this.enabled) {
-            var $input = this.$searchInput, $widthDetector = this.$('.selectivity-width-detector');
+            var $input = this._$input, $widthDetector = this.$('.selectivity-width-detector');
             $widthDetector.text($input.val() ||
                                 !this._data.length && this.options.placeholder ||
                                 '');
@@ -540,10 +1011,32 @@ var callSuper = Selectivity.inherits(MultipleSelectivity, {
 
         var placeholder = this._data.length ? '' : this.options.placeholder;
         if (this.enabled) {
-            this.$searchInput.attr('placeholder', placeholder);
+            this._$input.attr('placeholder', placeholder);
         } else {
             this.$('.selectivity-placeholder').text(placeholder);
         }
+    },
+
+    /**
+     * @private
+     */
+    _validateSelectionSize: function(size) {
+
+        var options = this.options;
+        var maximum = options.maximumSelectionSize;
+        if (maximum && size > maximum) {
+            throw new Error('Selection may not contain more than ' + maximum +
+                            (maximum === 1 ? ' item' : ' items'));
+        }
+
+        // an initially empty selection may be filled one item at a time, so the minimum is only
+        // enforced once the selection contains enough items
+        var minimum = options.minimumSelectionSize;
+        if (minimum && size < minimum && this._value && this._value.length >= minimum &&
+            !this._clearing) {
+            throw new Error('Selection should contain at least ' + minimum +
+                            (minimum === 1 ? ' item' : ' items'));
+        }
     }
 
 });
@@ -0,0 +1,270 @@
+'use strict';
+
+var $ = require('jquery');
+
+var Selectivity = require('./selectivity-base');
+
+var MAX_GRAM_LENGTH = 3;
+
+/**
+ * Returns the index of the first string in a sorted array of strings that is not less than the
+ * given string.
+ */
+function lowerBound(array, string, getString) {
+
+    var low = 0, high = array.length;
+    while (low < high) {
+        var middle = (low + high) >> 1;
+        if (getString(array[middle]) < string) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+function identity(string) {
+
+    return string;
+}
+
+function uniqueSorted(indices) {
+
+    return indices.sort(function(a, b) { return a - b; }).filter(function(index, i) {
+        return i === 0 || indices[i - 1] !== index;
+    });
+}
+
+/**
+ * Search Index Constructor.
+ *
+ * The index is built once for an array of items, after which it can quickly find the items
+ * matching a search term without having to scan and transform the text of every item. Matching is
+ * performed on the text of the items after it has been transformed using
+ * Selectivity.transformText().
+ *
+ * @param items Array of processed items to index. Items may contain 'children' properties which
+ *              are indexed as well.
+ */
+function SearchIndex(items) {
+
+    /**
+     * The indexed items.
+     */
+    this.items = items;
+
+    this._entries = [];
+    this._grams = Object.create(null);
+    this._tokens = Object.create(null);
+
+    this._indexItems(items, null);
+
+    var entries = this._entries;
+    this._sortedEntries = entries.slice().sort(function(a, b) {
+        return (a.text < b.text ? -1 : a.text > b.text ? 1 : a.index - b.index);
+    });
+    this._sortedTokens = Object.keys(this._tokens).sort();
+}
+
+/**
+ * Methods.
+ */
+$.extend(SearchIndex.prototype, {
+
+    /**
+     * Searches for items containing a given term.
+     *
+     * This gives the same results as filtering the items using the default Selectivity.matcher()
+     * function.
+     *
+     * @param term The search term. Should already be processed using Selectivity.transformText().
+     *
+     * @return Array of matching items. If an item does not match itself, but some of its children
+     *         do, a copy of the item is returned containing only the matching children.
+     */
+    search: function(term) {
+
+        if (!term) {
+            return this.items.slice();
+        }
+
+        var grams = this._grams;
+        if (term.length <= MAX_GRAM_LENGTH) {
+            return this._buildResults(grams[term] || []);
+        }
+
+        // the candidates are the entries containing the least common gram from the term
+        var candidates = null;
+        for (var i = 0; i <= term.length - MAX_GRAM_LENGTH; i++) {
+            var gramEntries = grams[term.substr(i, MAX_GRAM_LENGTH)];
+            if (!gramEntries) {
+                return [];
+            } else if (!candidates || gramEntries.length < candidates.length) {
+                candidates = gramEntries;
+            }
+        }
+
+        var entries = this._entries;
+        return this._buildResults(candidates.filter(function(index) {
+            return entries[index].text.indexOf(term) > -1;
+        }));
+    },
+
+    /**
+     * Searches for items starting with a given term.
+     *
+     * @param term The search term. Should already be processed using Selectivity.transformText().
+     *
+     * @return Array of matching items, in the same format as returned by search().
+     */
+    searchPrefix: function(term) {
+
+        var sortedEntries = this._sortedEntries;
+        var indices = [];
+        for (var i = lowerBound(sortedEntries, term, function(entry) { return entry.text; }),
+                 length = sortedEntries.length; i < length; i++) {
+            var entry = sortedEntries[i];
+            if (entry.text.slice(0, term.length) !== term) {
+                break;
+            }
+            indices.push(entry.index);
+        }
+        return this._buildResults(uniqueSorted(indices));
+    },
+
+    /**
+     * Searches for items containing words that start with the words of a given term.
+     *
+     * For example, the term "new y" will match an item with the text "New York", but not "Newark".
+     *
+     * @param term The search term. Should already be processed using Selectivity.transformText().
+     *
+     * @return Array of matching items, in the same format as returned by search().
+     */
+    searchTokens: function(term) {
+
+        var words = term.split(/\s+/).filter(function(word) { return !!word; });
+        if (!words.length) {
+            return this.items.slice();
+        }
+
+        var tokens = this._tokens;
+        var sortedTokens = this._sortedTokens;
+        var indices = null;
+        words.forEach(function(word) {
+            var wordIndices = [], matchesWord = {};
+            function addIndex(index) {
+                if (!matchesWord[index]) {
+                    matchesWord[index] = true;
+                    wordIndices.push(index);
+                }
+            }
+
+            for (var i = lowerBound(sortedTokens, word, identity),
+                     length = sortedTokens.length; i < length; i++) {
+                var token = sortedTokens[i];
+                if (token.slice(0, word.length) !== word) {
+                    break;
+                }
+                tokens[token].forEach(addIndex);
+            }
+
+            if (indices) {
+                indices = indices.filter(function(index) { return matchesWord[index]; });
+            } else {
+                indices = uniqueSorted(wordIndices);
+            }
+        });
+        return this._buildResults(indices);
+    },
+
+    /**
+     * @private
+     */
+    _buildResults: function(indices) {
+
+        // builds the results from the indices of the matching entries. because entries are
+        // numbered in the order in which they appear in the item tree, processing them in
+        // ascending order keeps the results in their original order
+        var entries = this._entries;
+        var results = [];
+        var copies = {};
+        var included = {};
+
+        indices.forEach(function(index) {
+            var entry = entries[index];
+
+            var parent = entry.parent;
+            for (var ancestor = parent; ancestor; ancestor = ancestor.parent) {
+                if (included[ancestor.index]) {
+                    return; // the entry is already included as part of its ancestor
+                }
+            }
+
+            included[index] = true;
+
+            var result = entry.item;
+            while (parent && !copies[parent.index]) {
+                var item = parent.item;
+                result = { id: item.id, text: item.text, children: [result] };
+                copies[parent.index] = result;
+                parent = parent.parent;
+            }
+
+            if (parent) {
+                copies[parent.index].children.push(result);
+            } else {
+                results.push(result);
+            }
+        });
+
+        return results;
+    },
+
+    /**
+     * @private
+     */
+    _indexItems: function(items, parent) {
+
+        var grams = this._grams;
+        var tokens = this._tokens;
+
+        function addIndex(map, key, index) {
+            var indices = map[key] || (map[key] = []);
+            if (indices[indices.length - 1] !== index) {
+                indices.push(index);
+            }
+        }
+
+        items.forEach(function(item) {
+            var entry = {
+                index: this._entries.length,
+                item: item,
+                parent: parent,
+                text: Selectivity.transformText(item.text)
+            };
+            this._entries.push(entry);
+
+            var text = entry.text;
+            for (var length = 1; length <= MAX_GRAM_LENGTH; length++) {
+                for (var i = 0; i <= text.length - length; i++) {
+                    addIndex(grams, text.substr(i, length), entry.index);
+                }
+            }
+
+            text.split(/\s+/).forEach(function(token) {
+                if (token) {
+                    addIndex(tokens, token, entry.index);
+                }
+            });
+
+            if (item.children) {
+                this._indexItems(item.children, entry);
+            }
+        }, this);
+    }
+
+});
+
+module.exports = Selectivity.SearchIndex = SearchIndex;
@@ -19,30 +19,6 @@ function SingleSelectivity(options) {
 
     this._rerenderSelection();
 
-    if (!options.positionDropdown) {
-        // dropdowns for single-value inputs should open below the select box,
-        // unless there is not enough space below, in which case the dropdown should be moved up
-        // just enough so it fits in the window, but never so much that it reaches above the top
-        this.options.positionDropdown = function($el, $selectEl) {
-            var position = $selectEl.position(),
-                dropdownHeight = $el.height(),
-                selectHeight = $selectEl.height(),
-                top = $selectEl[0].getBoundingClientRect().top,
-                bottom = top + selectHeight + dropdownHeight,
-                deltaUp = 0;
-
-            if (typeof window !== 'undefined') {
-                deltaUp = Math.min(Math.max(bottom - $(window).height(), 0), top + selectHeight);
-            }
-
-            var width = $selectEl.outerWidth ? $selectEl.outerWidth() : $selectEl.width();
-            $el.css({
-                left: position.left + 'px',
-                top: (position.top + selectHeight - deltaUp) + 'px'
-            }).width(width);
-        };
-    }
-
     if (options.showSearchInputInDropdown === false) {
         this.initSearchInput(this.$('.selectivity-single-select-input'), { noSearch: true });
     }
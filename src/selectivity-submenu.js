@@ -3,6 +3,40 @@
 var Selectivity = require('./selectivity-base');
 var SelectivityDropdown = require('./selectivity-dropdown');
 
+/**
+ * Default function for positioning a submenu next to the item of the parent menu from which it is
+ * opened.
+ *
+ * The submenu is opened to the right of the parent menu, unless it doesn't fit there while there
+ * is more space to the left. It is moved up as far as needed to not extend below the viewport.
+ *
+ * @return The chosen placement, either 'left' or 'right'.
+ */
+function positionSubmenu($el, $parentEl, $item) {
+
+    var width = $parentEl.width();
+    $el.width(width);
+
+    var win = $el[0].ownerDocument.defaultView;
+    var parentRect = $parentEl[0].getBoundingClientRect();
+    var itemTop = $item[0].getBoundingClientRect().top;
+    var submenuWidth = ($el.outerWidth ? $el.outerWidth() : $el.width());
+    var submenuHeight = ($el.outerHeight ? $el.outerHeight() : $el.height());
+    var spaceLeft = parentRect.left;
+    var spaceRight = win.innerWidth - parentRect.right;
+    var placement = (submenuWidth > spaceRight && spaceLeft > spaceRight ? 'left' : 'right');
+
+    var offsetTop = Math.max(Math.min(win.innerHeight - itemTop - submenuHeight, 0), -itemTop);
+
+    var parentPosition = $parentEl.position();
+    $el.css({
+        left: parentPosition.left + (placement === 'left' ? -submenuWidth : width) + 'px',
+        top: $item.position().top + parentPosition.top + offsetTop + 'px'
+    });
+
+    return placement;
+}
+
 /**
  * Extended dropdown that supports submenus.
  */
@@ -28,6 +62,8 @@ var callSuper = Selectivity.inherits(SelectivitySubmenu, SelectivityDropdown, {
     close: function() {
 
         if (this.options.restoreOptions) {
+            // restoring the search index along with the items avoids indexing them again
+            this.selectivity.searchIndex = this.options.restoreSearchIndex || null;
             this.selectivity.setOptions(this.options.restoreOptions);
         }
         if (this.options.restoreResults) {
@@ -40,7 +76,21 @@ var callSuper = Selectivity.inherits(SelectivitySubmenu, SelectivityDropdown, {
 
         callSuper(this, 'close');
 
+        var restoreTerm = this.options.restoreTerm;
+        if (restoreTerm !== undefined) {
+            // if the submenu shared its search input with the parent menu, the input may contain
+            // a term used for searching in the submenu
+            var selectivity = this.selectivity;
+            if (!this.options.showSearchInput && selectivity.$searchInput) {
+                selectivity.$searchInput.val(restoreTerm);
+            }
+            selectivity.term = restoreTerm;
+        }
+
         if (this.parentMenu) {
+            // the parent menu may share its search input with the submenu
+            this.parentMenu._updateAriaAttributes();
+
             this.parentMenu.submenu = null;
             this.parentMenu = null;
         }
@@ -101,7 +151,7 @@ var callSuper = Selectivity.inherits(SelectivitySubmenu, SelectivityDropdown, {
 
         var selectivity = this.selectivity;
         var item = Selectivity.findNestedById(selectivity.results, id);
-        if (item && !item.submenu) {
+        if (item && !item.disabled && !item.submenu) {
             var options = { id: id, item: item };
             if (selectivity.triggerEvent('selectivity-selecting', options)) {
                 selectivity.triggerEvent('selectivity-selected', options);
@@ -162,6 +212,8 @@ var callSuper = Selectivity.inherits(SelectivitySubmenu, SelectivityDropdown, {
      */
     _doHighlight: function(item) {
 
+        clearTimeout(this._openSubmenuTimeout);
+
         callSuper(this, 'highlight', item);
 
         if (item.submenu && !this.submenu) {
@@ -175,18 +227,15 @@ var callSuper = Selectivity.inherits(SelectivitySubmenu, SelectivityDropdown, {
                 this.submenu = new Dropdown({
                     parentMenu: this,
                     position: item.submenu.positionDropdown || function($el) {
-                        var dropdownPosition = $dropdownEl.position();
-                        var width = $dropdownEl.width();
-                        $el.css({
-                            left: dropdownPosition.left + width + 'px',
-                            top: $item.position().top + dropdownPosition.top + 'px'
-                        }).width(width);
+                        return positionSubmenu($el, $dropdownEl, $item);
                     },
                     restoreOptions: {
                         items: selectivity.items,
                         query: selectivity.options.query || null
                     },
                     restoreResults: selectivity.results,
+                    restoreSearchIndex: selectivity.searchIndex,
+                    restoreTerm: selectivity.term,
                     selectivity: selectivity,
                     showSearchInput: item.submenu.showSearchInput
                 });
@@ -196,6 +245,11 @@ var callSuper = Selectivity.inherits(SelectivitySubmenu, SelectivityDropdown, {
                     query: item.submenu.query || null
                 });
 
+                if (!item.submenu.showSearchInput && selectivity.$searchInput) {
+                    // the submenu shares its search input with the parent menu, so the term used
+                    // for searching in the parent menu is cleared until the submenu is closed
+                    selectivity.$searchInput.val('');
+                }
                 selectivity.search('');
             }
         }
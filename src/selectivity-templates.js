@@ -6,6 +6,24 @@ var Selectivity = require('./selectivity-base');
 
 require('./selectivity-locale');
 
+/**
+ * Returns the HTML-escaped text, with the parts matching the search term wrapped in elements with
+ * the class 'selectivity-match'.
+ */
+function highlightMatches(text, matchRanges) {
+
+    var html = '';
+    var index = 0;
+    (matchRanges || []).forEach(function(range) {
+        html += escape(text.slice(index, range.start)) +
+                '<span class="selectivity-match">' +
+                    escape(text.slice(range.start, range.end)) +
+                '</span>';
+        index = range.end;
+    });
+    return html + escape(text.slice(index));
+}
+
 /**
  * Default set of templates to use with Selectivity.js.
  *
@@ -15,6 +33,26 @@ require('./selectivity-locale');
  */
 Selectivity.Templates = {
 
+    /**
+     * Renders the entry in the dropdown for adding the search term as a new item.
+     *
+     * The template is expected to have a top-level element with the class
+     * 'selectivity-create-item' which, when clicked, will create the new item. The element should
+     * also have an 'id' attribute set to the elementId passed through the options object.
+     *
+     * @param options Options object containing the following properties:
+     *                elementId - ID to assign to the element.
+     *                term - The search term to create the item from.
+     */
+    createItem: function(options) {
+        return (
+            '<div class="selectivity-create-item" role="option" ' +
+                 'id="' + escape(options.elementId) + '">' +
+                Selectivity.Locale.createItem(options.term) +
+            '</div>'
+        );
+    },
+
     /**
      * Renders the dropdown.
      *
@@ -23,8 +61,22 @@ Selectivity.Templates = {
      *
      * @param options Options object containing the following properties:
      *                dropdownCssClass - Optional CSS class to add to the top-level element.
+     *                fullScreen - Boolean whether the dropdown is shown as a full-screen sheet. If
+     *                             true, an element with the class 'selectivity-sheet-close' is
+     *                             expected, which closes the sheet when clicked.
+     *                inline - Boolean whether the dropdown is embedded in the Selectivity element
+     *                         as a permanently open list.
+     *                resultsId - ID to assign to the results container, so that the search input
+     *                            can reference it through its 'aria-controls' attribute.
      *                searchInputPlaceholder - Optional placeholder text to display in the search
      *                                         input in the dropdown.
+     *                showBulkActions - Boolean whether actions for selecting all results and for
+     *                                  deselecting all matching selected items should be shown.
+     *                                  If true, elements with the classes 'selectivity-select-all'
+     *                                  and 'selectivity-deselect-all' are expected.
+     *                showDoneButton - Boolean whether the full-screen sheet should contain a
+     *                                 button to finish the selection. If true, an element with the
+     *                                 class 'selectivity-sheet-done' is expected.
      *                showSearchInput - Boolean whether a search input should be shown. If true,
      *                                  an input element with the 'selectivity-search-input' is
      *                                  expected.
@@ -32,22 +84,57 @@ Selectivity.Templates = {
     dropdown: function(options) {
         var extraClass = (options.dropdownCssClass ? ' ' + options.dropdownCssClass : ''),
             searchInput = '';
+        if (options.inline) {
+            extraClass += ' selectivity-inline';
+        }
         if (options.showSearchInput) {
             extraClass += ' has-search-input';
 
             var placeholder = options.searchInputPlaceholder;
             searchInput = (
                 '<div class="selectivity-search-input-container">' +
-                    '<input type="text" class="selectivity-search-input"' +
+                    '<input type="text" class="selectivity-search-input" role="combobox" ' +
+                           'aria-autocomplete="list" aria-expanded="false"' +
                             (placeholder ? ' placeholder="' + escape(placeholder) + '"'
                                          : '') + '>' +
                 '</div>'
             );
         }
+        var header = searchInput;
+        if (options.fullScreen) {
+            extraClass += ' selectivity-sheet';
+
+            var Locale = Selectivity.Locale;
+            header = (
+                '<div class="selectivity-sheet-header">' +
+                    '<button type="button" class="selectivity-sheet-close" ' +
+                            'aria-label="' + escape(Locale.close) + '">' +
+                        '<i class="fa fa-remove"></i>' +
+                    '</button>' +
+                    searchInput +
+                    (options.showDoneButton ? '<button type="button" ' +
+                                                      'class="selectivity-sheet-done">' +
+                                                  Locale.done +
+                                              '</button>'
+                                            : '') +
+                '</div>'
+            );
+        }
+        if (options.showBulkActions) {
+            header += (
+                '<div class="selectivity-bulk-actions">' +
+                    '<a class="selectivity-select-all">' + Selectivity.Locale.selectAll + '</a>' +
+                    '<a class="selectivity-deselect-all">' +
+                        Selectivity.Locale.deselectAll +
+                    '</a>' +
+                '</div>'
+            );
+        }
         return (
             '<div class="selectivity-dropdown' + extraClass + '">' +
-                searchInput +
-                '<div class="selectivity-results-container"></div>' +
+                header +
+                '<div class="selectivity-results-container" role="listbox" ' +
+                     'id="' + escape(options.resultsId) + '"></div>' +
             '</div>'
         );
     },
@@ -55,18 +142,55 @@ Selectivity.Templates = {
     /**
      * Renders an error message in the dropdown.
      *
+     * If the retry option is true, the template is expected to contain an element with the class
+     * 'selectivity-retry' which, when clicked, will retry the failed query.
+     *
      * @param options Options object containing the following properties:
      *                escape - Boolean whether the message should be HTML-escaped.
      *                message - The message to display.
+     *                retry - Boolean whether an action to retry the failed query should be shown.
      */
     error: function(options) {
         return (
             '<div class="selectivity-error">' +
                 (options.escape ? escape(options.message) : options.message) +
+                (options.retry ? ' <a class="selectivity-retry">' + Selectivity.Locale.retry +
+                                 '</a>'
+                               : '') +
             '</div>'
         );
     },
 
+    /**
+     * Renders the search input for filtering the items of a listbox.
+     *
+     * The template is expected to have an input element with the class
+     * 'selectivity-listbox-search-input'. The list of items is added after the template.
+     *
+     * @param options Options object containing the following property:
+     *                placeholder - Optional placeholder text to display in the search input.
+     */
+    listboxSearchInput: function(options) {
+        var placeholder = options.placeholder;
+        return (
+            '<div class="selectivity-search-input-container">' +
+                '<input type="text" class="selectivity-listbox-search-input ' +
+                                          'selectivity-search-input"' +
+                        (placeholder ? ' placeholder="' + escape(placeholder) + '"' : '') + '>' +
+            '</div>'
+        );
+    },
+
+    /**
+     * Renders the live region used for announcing messages to users of assistive technology.
+     *
+     * The template is expected to have a top-level element with the class
+     * 'selectivity-live-region'. Any announced messages will be set as its content.
+     */
+    liveRegion: (
+        '<div class="selectivity-live-region" aria-live="polite" aria-atomic="true"></div>'
+    ),
+
     /**
      * Renders a loading indicator in the dropdown.
      *
@@ -110,7 +234,9 @@ Selectivity.Templates = {
             '<div class="selectivity-multiple-input-container">' +
                 (options.enabled ? '<input type="text" autocomplete="off" autocorrect="off" ' +
                                           'autocapitalize="off" ' +
-                                          'class="selectivity-multiple-input">' +
+                                          'class="selectivity-multiple-input" ' +
+                                          'role="combobox" aria-autocomplete="list" ' +
+                                          'aria-expanded="false">' +
                                    '<span class="selectivity-multiple-input ' +
                                                 'selectivity-width-detector"></span>'
                                  : '<div class="selectivity-multiple-input ' +
@@ -150,6 +276,25 @@ Selectivity.Templates = {
         );
     },
 
+    /**
+     * Renders a summary of the selected items in multi-selection input boxes, which is shown
+     * instead of the individual items when more items are selected than the summarizeSelection
+     * option allows.
+     *
+     * The template is expected to have a top-level element with the class
+     * 'selectivity-multiple-selection-summary'.
+     *
+     * @param options Options object containing the following property:
+     *                count - The number of selected items.
+     */
+    multipleSelectionSummary: function(options) {
+        return (
+            '<span class="selectivity-multiple-selection-summary">' +
+                Selectivity.Locale.itemsSelected(options.count) +
+            '</span>'
+        );
+    },
+
     /**
      * Renders a message there are no results for the given query.
      *
@@ -170,11 +315,17 @@ Selectivity.Templates = {
      *
      * The template is expected to have an element with the class 'selectivity-result-children'.
      *
-     * @param options Options object containing the following property:
+     * @param options Options object containing the following properties:
      *                childrenHtml - Rendered HTML for the children.
+     *                text - Text label of the item the children belong to.
      */
     resultChildren: function(options) {
-        return '<div class="selectivity-result-children">' + options.childrenHtml + '</div>';
+        return (
+            '<div class="selectivity-result-children" role="group" ' +
+                 'aria-label="' + escape(options.text) + '">' +
+                options.childrenHtml +
+            '</div>'
+        );
     },
 
     /**
@@ -184,15 +335,35 @@ Selectivity.Templates = {
      * 'selectivity-result-item'. This element is also required to have a 'data-item-id' attribute
      * with the ID set to that passed through the options object.
      *
+     * The element should also have an 'id' attribute set to the elementId passed through the
+     * options object, so that it can be referenced by the 'aria-activedescendant' attribute of the
+     * search input when the item is highlighted.
+     *
      * @param options Options object containing the following properties:
+     *                checkbox - Boolean whether a checkbox should be shown, which is checked when
+     *                           the item is selected. The checked state is reflected by the
+     *                           'aria-selected' attribute, which is updated when the selection
+     *                           changes.
+     *                disabled - Truthy if the item is disabled.
+     *                elementId - ID to assign to the element.
      *                id - Identifier for the item.
+     *                matchRanges - Array of ranges in the text that match the search term. Every
+     *                              range is an object with 'start' and 'end' properties. See
+     *                              Selectivity.findMatchRanges() for details.
+     *                selected - Boolean whether the item is currently selected.
      *                text - Text label which the user sees.
      *                submenu - Truthy if the result item has a menu with subresults.
      */
     resultItem: function(options) {
+        var extraClass = (options.disabled ? ' disabled' : '');
         return (
-            '<div class="selectivity-result-item" data-item-id="' + escape(options.id) + '">' +
-                escape(options.text) +
+            '<div class="selectivity-result-item' + extraClass + '" role="option" ' +
+                 'id="' + escape(options.elementId) + '" ' +
+                 'aria-selected="' + !!options.selected + '"' +
+                 (options.disabled ? ' aria-disabled="true"' : '') + ' ' +
+                 'data-item-id="' + escape(options.id) + '">' +
+                (options.checkbox ? '<span class="selectivity-result-checkbox"></span>' : '') +
+                highlightMatches(options.text, options.matchRanges) +
                 (options.submenu ? '<i class="selectivity-submenu-icon fa fa-chevron-right"></i>'
                                  : '') +
             '</div>'
@@ -205,11 +376,34 @@ Selectivity.Templates = {
      * The template is expected to have a top-level element with the class
      * 'selectivity-result-label'.
      *
+     * If a groupId is given, the template is expected to contain an element with a
+     * 'data-group-id' attribute set to it, containing elements with the classes
+     * 'selectivity-group-select-all' and 'selectivity-group-select-none' which, when clicked,
+     * select or deselect all items in the group.
+     *
      * @param options Options object containing the following properties:
+     *                groupId - ID of the group of items the label belongs to, if actions for
+     *                          selecting or deselecting the group should be shown. Null otherwise.
+     *                matchRanges - Array of ranges in the text that match the search term. See
+     *                              resultItem() for details.
      *                text - Text label.
      */
     resultLabel: function(options) {
-        return '<div class="selectivity-result-label">' + escape(options.text) + '</div>';
+        return (
+            '<div class="selectivity-result-label" role="presentation">' +
+                highlightMatches(options.text, options.matchRanges) +
+                (options.groupId ? '<span class="selectivity-group-actions" ' +
+                                         'data-group-id="' + escape(options.groupId) + '">' +
+                                       '<a class="selectivity-group-select-all">' +
+                                           Selectivity.Locale.groupSelectAll +
+                                       '</a> / ' +
+                                       '<a class="selectivity-group-select-none">' +
+                                           Selectivity.Locale.groupSelectNone +
+                                       '</a>' +
+                                   '</span>'
+                                 : '') +
+            '</div>'
+        );
     },
 
     /**
@@ -221,7 +415,8 @@ Selectivity.Templates = {
      */
     singleSelectInput: (
         '<div class="selectivity-single-select">' +
-            '<input type="text" class="selectivity-single-select-input">' +
+            '<input type="text" class="selectivity-single-select-input" role="combobox" ' +
+                   'aria-expanded="false">' +
             '<div class="selectivity-single-result-container"></div>' +
             '<i class="fa fa-sort-desc selectivity-caret"></i>' +
         '</div>'
@@ -27,7 +27,10 @@ function defaultTokenizer(input, selection, createToken, options) {
         return {};
     }
 
-    while (hasToken(input)) {
+    // tokens that cannot be added because the maximum selection size is reached are left in
+    // the input
+    var maximum = options.maximumSelectionSize;
+    while (hasToken(input) && !(maximum && selection.length >= maximum)) {
         var token = takeToken(input);
         if (token.term) {
             var item = createTokenItem(token.term);
@@ -53,7 +56,8 @@ function defaultTokenizer(input, selection, createToken, options) {
  *                                  splits the search term into tokens separated by any of the given
  *                                  separators. The tokens will be converted into selectable items
  *                                  using the 'createTokenItem' function. The default tokenizer also
- *                                  filters out already selected items.
+ *                                  filters out already selected items and leaves tokens in the
+ *                                  search input once the maximum selection size is reached.
  */
 Selectivity.OptionListeners.push(function(selectivity, options) {
 
@@ -22,14 +22,25 @@ function replaceSelectElement($el, options) {
                 }
             }
 
-            return {
+            var result = {
                 id: id,
                 text: $this.attr('label') || text
             };
+            if ($this.prop('disabled')) {
+                result.disabled = true;
+            }
+            return result;
         } else {
+            var children = $this.children('option,optgroup').map(mapOptions).get();
+            if ($this.prop('disabled')) {
+                // options inside a disabled optgroup are disabled as well
+                children.forEach(function(child) {
+                    child.disabled = true;
+                });
+            }
             return {
                 text: $this.attr('label'),
-                children: $this.children('option,optgroup').map(mapOptions).get()
+                children: children
             };
         }
     };
@@ -39,15 +39,20 @@ module.exports = {
 
                     // I wish this could be solved without hard-coding the dependenies here...
                     var dependencies = {
+                        'ajax': ['base', 'locale'],
                         'async': ['base'],
                         'backdrop': ['dropdown'],
                         'base': [],
+                        'cache': ['base'],
                         'diacritics': ['base'],
-                        'dropdown': ['base'],
+                        'dropdown': ['base', 'locale'],
                         'email': ['base', 'multiple'],
+                        'fuzzy': ['base'],
                         'keyboard': ['base'],
+                        'listbox': ['base', 'dropdown'],
                         'locale': ['base'],
-                        'multiple': ['base'],
+                        'multiple': ['base', 'locale'],
+                        'search-index': ['base'],
                         'single': ['base'],
                         'submenu': ['base', 'dropdown'],
                         'templates': ['base', 'locale'],
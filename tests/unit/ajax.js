@@ -0,0 +1,579 @@
+'use strict';
+
+/* global Promise */
+
+var DomUtil = require('../dom-util');
+
+function createTransport(requests) {
+    return function(options) {
+        var request = { aborted: false, options: options };
+        requests.push(request);
+        return {
+            abort: function() {
+                request.aborted = true;
+                options.error(this, 'abort', '');
+            }
+        };
+    };
+}
+
+exports.testAbortSupersededRequest = DomUtil.createDomTest(
+    ['ajax', 'async', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var errors = [];
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                error: function(jqXHR, textStatus) {
+                    errors.push(textStatus);
+                },
+                params: function(term) {
+                    return { q: term };
+                },
+                transport: createTransport(requests),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'am');
+
+        test.equal(requests.length, 2);
+        test.ok(requests[0].aborted);
+        test.ok(!requests[1].aborted);
+        test.deepEqual(errors, []);
+
+        requests[1].options.success(['Amsterdam']);
+
+        test.equal($('.selectivity-result-item').length, 1);
+        test.equal($('.selectivity-result-item').text(), 'Amsterdam');
+    }
+);
+
+exports.testQuietMillis = DomUtil.createDomTest(
+    ['ajax', 'async', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                params: function(term) {
+                    return { q: term };
+                },
+                quietMillis: 10,
+                transport: createTransport(requests),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'a');
+        $input.selectivity('search', 'am');
+
+        test.equal(requests.length, 0);
+
+        setTimeout(function() {
+            test.equal(requests.length, 1);
+            test.equal(requests[0].options.url, '/cities?q=am');
+
+            $input.selectivity('search', 'ams');
+
+            test.ok(requests[0].aborted);
+
+            setTimeout(function() {
+                test.equal(requests.length, 2);
+                test.equal(requests[1].options.url, '/cities?q=ams');
+
+                requests[1].options.success(['Amsterdam']);
+
+                test.equal($('.selectivity-result-item').length, 1);
+                test.equal($('.selectivity-result-item').text(), 'Amsterdam');
+
+                test.done();
+            }, 20);
+        }, 20);
+    }
+);
+
+function createFetch(requests, respond) {
+    return function(url, init) {
+        requests.push({ init: init, url: url });
+        return respond(url);
+    };
+}
+
+function jsonResponse(data) {
+    return Promise.resolve({
+        json: function() { return Promise.resolve(data); },
+        ok: true,
+        status: 200,
+        statusText: 'OK'
+    });
+}
+
+exports.testFetchTransport = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        var requests = [];
+        var successData = [];
+        $input.selectivity({
+            ajax: {
+                fetch: createFetch(requests, function() {
+                    return jsonResponse({ cities: ['Amsterdam', 'Antwerp'], more: true });
+                }),
+                params: function(term, offset) {
+                    return { q: term, offset: offset };
+                },
+                results: function(data) {
+                    return { results: data.cities, more: data.more };
+                },
+                success: function(data, textStatus, request) {
+                    successData.push([data.cities.length, textStatus, request.status]);
+                },
+                transport: $input.selectivity.fetchTransport,
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'a');
+
+        test.equal(requests.length, 2);
+        test.equal(requests[1].url, '/cities?q=a&offset=0');
+        test.equal(requests[1].init.method, 'GET');
+        test.equal(requests[1].init.headers.Accept, 'application/json');
+
+        setTimeout(function() {
+            test.deepEqual(successData, [[2, 'success', 200], [2, 'success', 200]]);
+            test.equal($('.selectivity-result-item').length, 2);
+            test.equal($('.selectivity-load-more').length, 1);
+
+            test.done();
+        }, 10);
+    }
+);
+
+exports.testFetchTransportErrors = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        var errors = [];
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                error: function(request, textStatus, errorThrown) {
+                    errors.push([request.status, textStatus, '' + errorThrown]);
+                },
+                fetch: createFetch(requests, function(url) {
+                    if (url === '/cities?q=fail') {
+                        return Promise.reject(new TypeError('Failed to fetch'));
+                    } else {
+                        return Promise.resolve({ ok: false, status: 500,
+                                                 statusText: 'Internal Server Error' });
+                    }
+                }),
+                formatError: function(term, request, textStatus) {
+                    return 'Error ' + request.status + ' (' + textStatus + ') for ' + term;
+                },
+                params: function(term) {
+                    return { q: term };
+                },
+                transport: $input.selectivity.fetchTransport,
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+
+        setTimeout(function() {
+            test.deepEqual(errors, [[500, 'error', 'Internal Server Error']]);
+            test.equal($('.selectivity-error').text(), 'Error 500 (error) for  Retry');
+
+            $input.selectivity('search', 'fail');
+
+            setTimeout(function() {
+                test.deepEqual(errors[1], [0, 'error', 'TypeError: Failed to fetch']);
+                test.equal($('.selectivity-error').text(), 'Error 0 (error) for fail Retry');
+
+                test.done();
+            }, 10);
+        }, 10);
+    }
+);
+
+exports.testFetchTransportUnsupported = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var errors = [];
+        $input.selectivity({
+            ajax: {
+                error: function(request, textStatus) {
+                    errors.push(textStatus);
+                },
+                retries: 2,
+                transport: $input.selectivity.fetchTransport,
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+
+        test.deepEqual(errors, ['unsupported']);
+        test.equal($('.selectivity-error').length, 1);
+    }
+);
+
+exports.testFetchTransportProcessingError = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        var errors = [];
+        $input.selectivity({
+            ajax: {
+                error: function(request, textStatus) {
+                    errors.push(textStatus);
+                },
+                fetch: createFetch([], function() {
+                    return jsonResponse({ cities: null });
+                }),
+                results: function(data) {
+                    return { results: data.cities.slice() };
+                },
+                transport: $input.selectivity.fetchTransport,
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+
+        setTimeout(function() {
+            test.deepEqual(errors, ['parsererror']);
+            test.equal($('.selectivity-error').length, 1);
+
+            test.done();
+        }, 10);
+    }
+);
+
+exports.testFetchTransportErrorCallbackThrows = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        // errors thrown by the error callback are not caught by the transport
+        var uncaughtErrors = [];
+        function onUnhandledRejection(error) {
+            uncaughtErrors.push(error.message);
+        }
+        process.on('unhandledRejection', onUnhandledRejection);
+
+        var errors = [];
+        function fetchTransport(fetchOptions) {
+            return $input.selectivity.fetchTransport($.extend({
+                error: function(request, textStatus) {
+                    errors.push([fetchOptions.url, textStatus]);
+                    throw new Error('Error callback failed');
+                },
+                success: function() {}
+            }, fetchOptions));
+        }
+
+        fetchTransport({
+            fetch: function() {
+                return Promise.resolve({ ok: false, status: 500, statusText: 'Server Error' });
+            },
+            url: '/error'
+        });
+        fetchTransport({
+            fetch: function() {
+                return Promise.resolve({
+                    json: function() { return Promise.reject(new SyntaxError('Bad JSON')); },
+                    ok: true,
+                    status: 200
+                });
+            },
+            url: '/parsererror'
+        });
+
+        setTimeout(function() {
+            process.removeListener('unhandledRejection', onUnhandledRejection);
+
+            test.deepEqual(errors, [['/error', 'error'], ['/parsererror', 'parsererror']]);
+            test.deepEqual(uncaughtErrors, ['Error callback failed', 'Error callback failed']);
+
+            test.done();
+        }, 10);
+    }
+);
+
+exports.testFetchTransportAbort = DomUtil.createDomTest(
+    ['ajax', 'async', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        var errors = [];
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                error: function(request, textStatus) {
+                    errors.push(textStatus);
+                },
+                fetch: createFetch(requests, function(url) {
+                    return jsonResponse(url === '/cities?q=' ? ['Amsterdam', 'Antwerp']
+                                                             : ['Amsterdam']);
+                }),
+                params: function(term) {
+                    return { q: term };
+                },
+                transport: $input.selectivity.fetchTransport,
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'am');
+
+        setTimeout(function() {
+            test.equal(requests.length, 2);
+            test.deepEqual(errors, []);
+            test.equal($('.selectivity-result-item').length, 1);
+
+            test.done();
+        }, 10);
+    }
+);
+
+function createScriptedTransport(requests, responses) {
+    return function(options) {
+        requests.push(options.url);
+
+        var response = responses.shift();
+        if (response.status === 200) {
+            options.success(response.data, 'success', response);
+        } else {
+            options.error(response, 'error', 'Server Error');
+        }
+    };
+}
+
+exports.testAutomaticRetries = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        var errors = [];
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                error: function(jqXHR) {
+                    errors.push(jqXHR.status);
+                },
+                retries: 2,
+                retryDelay: 1,
+                transport: createScriptedTransport(requests, [
+                    { status: 503 },
+                    { status: 0 },
+                    { status: 200, data: ['Amsterdam'] },
+                    { status: 503 },
+                    { status: 404 }
+                ]),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+
+        test.equal(requests.length, 1);
+        test.equal($('.selectivity-loading').length, 1);
+
+        setTimeout(function() {
+            test.equal(requests.length, 3);
+            test.deepEqual(errors, []);
+            test.equal($('.selectivity-result-item').text(), 'Amsterdam');
+
+            $input.selectivity('search', 'xyz');
+
+            setTimeout(function() {
+                test.equal(requests.length, 5);
+                test.deepEqual(errors, [404]);
+                test.equal($('.selectivity-retry').length, 1);
+
+                test.done();
+            }, 20);
+        }, 20);
+    }
+);
+
+exports.testCancelRetryOnClose = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input) {
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                retries: 2,
+                retryDelay: 5,
+                transport: createScriptedTransport(requests, [
+                    { status: 503 },
+                    { status: 503 },
+                    { status: 503 }
+                ]),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $input.selectivity('close');
+
+        setTimeout(function() {
+            test.equal(requests.length, 1);
+
+            $input.click();
+            $input.selectivity('destroy');
+
+            setTimeout(function() {
+                test.equal(requests.length, 2);
+
+                test.done();
+            }, 20);
+        }, 20);
+    }
+);
+
+exports.testRetryRequestsIndependently = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    { async: true },
+    function(test, $input, $) {
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                params: function(term) {
+                    return { q: term };
+                },
+                retries: 1,
+                retryDelay: 5,
+                transport: createScriptedTransport(requests, [
+                    { status: 503 },
+                    { status: 503 },
+                    { data: ['Amsterdam', 'Antwerp'], status: 200 },
+                    { data: ['Amsterdam'], status: 200 }
+                ]),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'am');
+
+        setTimeout(function() {
+            test.deepEqual(requests, ['/cities?q=', '/cities?q=am', '/cities?q=',
+                                      '/cities?q=am']);
+            test.equal($('.selectivity-result-item').length, 1);
+
+            test.done();
+        }, 20);
+    }
+);
+
+exports.testDiscardResponseAfterClose = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var requests = [];
+        var successData = [];
+        $input.selectivity({
+            ajax: {
+                success: function(data) {
+                    successData.push(data);
+                },
+                transport: createTransport(requests),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $input.selectivity('close');
+
+        test.equal(requests.length, 1);
+        test.ok(requests[0].aborted);
+
+        requests[0].options.success(['Amsterdam']);
+
+        test.deepEqual(successData, []);
+        test.equal($('.selectivity-dropdown').length, 0);
+        test.equal($input.selectivity('data'), null);
+
+        $input.click();
+        requests[1].options.success(['Amsterdam']);
+
+        test.deepEqual(successData, [['Amsterdam']]);
+        test.equal($('.selectivity-result-item').text(), 'Amsterdam');
+    }
+);
+
+exports.testRetryAction = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                params: function(term, offset) {
+                    return { offset: offset };
+                },
+                transport: createScriptedTransport(requests, [
+                    { status: 500 },
+                    { status: 200, data: ['Amsterdam'] }
+                ]),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+
+        test.equal($('.selectivity-error').length, 1);
+        test.equal($('.selectivity-retry').length, 1);
+        test.ok($('.selectivity-retry').hasClass('highlight'));
+
+        $('.selectivity-search-input').trigger(new $.Event('keyup', { keyCode: 13 }));
+
+        test.deepEqual(requests, ['/cities?offset=0', '/cities?offset=0']);
+        test.equal($('.selectivity-error').length, 0);
+        test.equal($('.selectivity-result-item').text(), 'Amsterdam');
+    }
+);
+
+exports.testRetryLoadMore = DomUtil.createDomTest(
+    ['ajax', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var requests = [];
+        $input.selectivity({
+            ajax: {
+                params: function(term, offset) {
+                    return { offset: offset };
+                },
+                results: function(data, offset) {
+                    return { results: data, more: offset === 0 };
+                },
+                transport: createScriptedTransport(requests, [
+                    { status: 200, data: ['Amsterdam', 'Antwerp'] },
+                    { status: 500 },
+                    { status: 200, data: ['Athens'] }
+                ]),
+                url: '/cities'
+            }
+        });
+
+        $input.click();
+        $('.selectivity-load-more').click();
+
+        test.equal($('.selectivity-result-item').length, 2);
+        test.equal($('.selectivity-load-more').length, 0);
+        test.equal($('.selectivity-error').length, 1);
+        test.equal($('.selectivity-retry').length, 1);
+
+        $('.selectivity-retry').click();
+
+        test.deepEqual(requests, ['/cities?offset=0', '/cities?offset=2', '/cities?offset=2']);
+        test.equal($('.selectivity-error').length, 0);
+        test.deepEqual($('.selectivity-result-item').map(function() {
+            return $(this).text();
+        }).get(), ['Amsterdam', 'Antwerp', 'Athens']);
+    }
+);
@@ -94,3 +94,68 @@ exports.testWithoutAsync = DomUtil.createDomTest(
     }
 
 );
+
+exports.testAbortHook = DomUtil.createDomTest(
+    ['async', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var pendingQueries = [];
+        var abortedTerms = [];
+        $input.selectivity({
+            query: function(options) {
+                options.onAbort(function() {
+                    abortedTerms.push(options.term);
+                });
+                pendingQueries.push(options);
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'am');
+
+        test.deepEqual(abortedTerms, ['']);
+
+        pendingQueries[0].callback({ results: items });
+        pendingQueries[1].callback({ results: ['Amsterdam', 'Hamburg'] });
+
+        test.equal($('.selectivity-result-item').length, 2);
+
+        $input.selectivity('search', 'dam');
+
+        test.deepEqual(abortedTerms, ['']);
+
+        var lateAbortedTerms = [];
+        $input.selectivity('search', 'berg');
+        pendingQueries[2].onAbort(function() {
+            lateAbortedTerms.push(pendingQueries[2].term);
+        });
+
+        test.deepEqual(abortedTerms, ['', 'dam']);
+        test.deepEqual(lateAbortedTerms, ['dam']);
+    }
+);
+
+exports.testQueriesPerInstance = DomUtil.createDomTest(
+    ['async', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var pendingQueries = [];
+        function query(options) {
+            pendingQueries.push(options);
+        }
+
+        var $otherInput = $('<div>').insertAfter($input);
+        $input.selectivity({ query: query });
+        $otherInput.selectivity({ query: query });
+
+        $input.selectivity('search', 'am');
+        $otherInput.selectivity('search', 'dam');
+
+        test.equal(pendingQueries.length, 2);
+
+        pendingQueries[0].callback({ results: ['Amsterdam'] });
+        pendingQueries[1].callback({ results: ['Rotterdam'] });
+
+        test.deepEqual($input[0].selectivity.results, [{ id: 'Amsterdam', text: 'Amsterdam' }]);
+        test.deepEqual($otherInput[0].selectivity.results,
+                       [{ id: 'Rotterdam', text: 'Rotterdam' }]);
+    }
+);
@@ -0,0 +1,220 @@
+'use strict';
+
+var DomUtil = require('../dom-util');
+
+var items = [
+    'Amsterdam',
+    'Antwerp',
+    'Athens',
+    'Barcelona',
+    'Berlin',
+    'Birmingham',
+    'Bradford',
+    'Bremen',
+    'Brussels',
+    'Bucharest',
+    'Budapest',
+    'Cologne',
+    'Copenhagen',
+    'Dortmund',
+    'Dresden'
+];
+
+function createQuery(queries) {
+    return function(options) {
+        queries.push({ offset: options.offset, term: options.term });
+
+        var limit = 10;
+        var results = (options.term ? items.filter(function(item) {
+            return item.indexOf(options.term) > -1;
+        }) : items);
+        options.callback({
+            results: results.slice(options.offset, options.offset + limit),
+            more: results.length > options.offset + limit
+        });
+    };
+}
+
+exports.testCache = DomUtil.createDomTest(
+    ['cache', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var queries = [];
+        $input.selectivity({ cache: true, query: createQuery(queries) });
+
+        $input.click();
+        $input.selectivity('search', 'am');
+        $input.selectivity('search', '');
+
+        test.deepEqual(queries, [{ offset: 0, term: '' }, { offset: 0, term: 'am' }]);
+        test.equal($('.selectivity-result-item').length, 10);
+        test.equal($('.selectivity-load-more').length, 1);
+
+        $input.selectivity('search', 'am');
+
+        test.equal(queries.length, 2);
+        test.equal($('.selectivity-result-item').length, 2);
+
+        $input.selectivity('clearCache');
+        $input.selectivity('search', 'am');
+
+        test.equal(queries.length, 3);
+        test.equal($('.selectivity-result-item').length, 2);
+    }
+);
+
+exports.testCacheWithLoadMore = DomUtil.createDomTest(
+    ['cache', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var queries = [];
+        $input.selectivity({ cache: true, query: createQuery(queries) });
+
+        $input.click();
+        $('.selectivity-load-more').click();
+
+        test.equal($('.selectivity-result-item').length, 15);
+        test.equal($('.selectivity-load-more').length, 0);
+
+        $input.selectivity('close');
+        $input.click();
+
+        test.equal($('.selectivity-result-item').length, 10);
+        test.equal($('.selectivity-load-more').length, 1);
+
+        $('.selectivity-load-more').click();
+
+        test.equal($('.selectivity-result-item').length, 15);
+        test.equal($('.selectivity-result-item').last().text(), 'Dresden');
+        test.deepEqual(queries, [{ offset: 0, term: '' }, { offset: 10, term: '' }]);
+    }
+);
+
+exports.testExpiryAndMaxSize = DomUtil.createDomTest(
+    ['cache', 'single', 'dropdown', 'templates'],
+    function(test, $input) {
+        var now = Date.now;
+        var time = now.call(Date);
+        Date.now = function() { return time; };
+
+        try {
+            var queries = [];
+            $input.selectivity({ cache: { maxSize: 2, ttl: 1000 }, query: createQuery(queries) });
+
+            $input.click();
+            $input.selectivity('search', 'am');
+            $input.selectivity('search', 'er');
+            $input.selectivity('search', 'am');
+
+            test.equal(queries.length, 3);
+
+            time += 1001;
+            $input.selectivity('search', 'am');
+
+            test.equal(queries.length, 4);
+
+            $input.selectivity('search', 'en');
+            $input.selectivity('search', 'am');
+            $input.selectivity('search', '');
+
+            test.deepEqual(queries.slice(4), [
+                { offset: 0, term: 'en' },
+                { offset: 0, term: '' }
+            ]);
+        } finally {
+            Date.now = now;
+        }
+    }
+);
+
+exports.testDiscardOutOfOrderResponses = DomUtil.createDomTest(
+    ['cache', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var pendingQueries = [];
+        $input.selectivity({
+            cache: true,
+            query: function(options) {
+                pendingQueries.push(options);
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'B');
+
+        pendingQueries[1].callback({ results: ['Barcelona', 'Berlin'] });
+        pendingQueries[0].callback({ results: items });
+
+        test.equal($('.selectivity-result-item').length, 2);
+
+        $input.selectivity('search', '');
+
+        test.equal(pendingQueries.length, 2);
+        test.equal($('.selectivity-result-item').length, 15);
+    }
+);
+
+exports.testAbortPendingQueryOnCacheHit = DomUtil.createDomTest(
+    ['async', 'cache', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var abortedTerms = [];
+        var pendingQueries = [];
+        $input.selectivity({
+            cache: true,
+            query: function(options) {
+                options.onAbort(function() {
+                    abortedTerms.push(options.term);
+                });
+                pendingQueries.push(options);
+            }
+        });
+
+        $input.click();
+        pendingQueries[0].callback({ results: items });
+
+        $input.selectivity('search', 'Br');
+
+        test.equal(pendingQueries.length, 2);
+
+        $input.selectivity('search', '');
+
+        test.equal(pendingQueries.length, 2);
+        test.deepEqual(abortedTerms, ['Br']);
+        test.equal($('.selectivity-result-item').length, 15);
+
+        pendingQueries[1].callback({ results: ['Bradford', 'Bremen', 'Brussels'] });
+
+        test.equal($('.selectivity-result-item').length, 15);
+    }
+);
+
+exports.testKeepLaterCachedResponse = DomUtil.createDomTest(
+    ['cache', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var pendingQueries = [];
+        $input.selectivity({
+            cache: true,
+            query: function(options) {
+                pendingQueries.push(options);
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'B');
+        $input.selectivity('search', '');
+
+        pendingQueries[2].callback({ results: items.slice(0, 10), more: true });
+        $('.selectivity-load-more').click();
+        pendingQueries[3].callback({ results: items.slice(10), more: false });
+
+        test.equal($('.selectivity-result-item').length, 15);
+
+        // the response to the first query for the same term arrives late
+        pendingQueries[0].callback({ results: items.slice(0, 5) });
+
+        $input.selectivity('search', 'B');
+        pendingQueries[4].callback({ results: ['Barcelona', 'Berlin'] });
+        $input.selectivity('search', '');
+
+        test.equal(pendingQueries.length, 5);
+        test.equal($('.selectivity-result-item').length, 10);
+        test.equal($('.selectivity-load-more').length, 1);
+    }
+);
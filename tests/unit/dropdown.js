@@ -101,3 +101,836 @@ exports.testSearch = DomUtil.createDomTest(
     }
 
 );
+
+exports.testHighlightMatches = DomUtil.createDomTest(
+    ['single', 'dropdown', 'templates', 'diacritics'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Zürich', 'Zug <Zentrum>', { text: 'Zurich Area', children: ['Uster'] }]
+        });
+
+        $input.click();
+
+        test.equal($('.selectivity-match').length, 0);
+
+        $input.selectivity('search', 'zu');
+
+        test.deepEqual($('.selectivity-match').map(function() {
+            return $(this).text();
+        }).get(), ['Zü', 'Zu', 'Zu']);
+        test.equal($('.selectivity-result-item').eq(1).html(),
+                   '<span class="selectivity-match">Zu</span>g &lt;Zentrum&gt;');
+
+        $input.selectivity('search', '<zentrum>');
+
+        test.equal($('.selectivity-result-item').html(),
+                   'Zug <span class="selectivity-match">&lt;Zentrum&gt;</span>');
+    }
+);
+
+exports.testHighlightMatchesAfterLoadMore = DomUtil.createDomTest(
+    ['single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            query: function(options) {
+                var results = items.filter(function(item) {
+                    return item.indexOf(options.term) > -1;
+                });
+                options.callback({
+                    results: results.slice(options.offset, options.offset + 2),
+                    more: results.length > options.offset + 2
+                });
+            }
+        });
+
+        $input.click();
+        $input.selectivity('search', 'am');
+
+        test.equal($('.selectivity-match').length, 3);
+
+        $('.selectivity-load-more').click();
+
+        test.deepEqual($('.selectivity-match').map(function() {
+            return $(this).text();
+        }).get(), ['Am', 'am', 'am', 'am']);
+    }
+);
+
+exports.testMatchRangesInCustomTemplate = DomUtil.createDomTest(
+    ['single', 'dropdown', 'templates'],
+    function(test, $input) {
+        var matchRanges = [];
+        $input.selectivity({
+            items: ['Amsterdam', 'Rotterdam'],
+            templates: {
+                resultItem: function(options) {
+                    matchRanges.push(options.matchRanges);
+                    return '<div class="selectivity-result-item" data-item-id="' + options.id +
+                           '">' + options.text + '</div>';
+                }
+            }
+        });
+
+        $input.click();
+
+        test.deepEqual(matchRanges, [[], []]);
+
+        matchRanges = [];
+        $input.selectivity('search', 'am');
+
+        test.deepEqual(matchRanges, [
+            [{ start: 0, end: 2 }, { start: 7, end: 9 }],
+            [{ start: 7, end: 9 }]
+        ]);
+    }
+);
+
+exports.testAriaAttributes = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: [
+                { id: 1, text: 'Amsterdam' },
+                {
+                    text: 'Belgium',
+                    children: [
+                        { id: 2, text: 'Antwerp' },
+                        { id: 3, text: 'Brussels' }
+                    ]
+                }
+            ],
+            value: 3
+        });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        var $results = $('.selectivity-results-container');
+        test.equal($searchInput.attr('role'), 'combobox');
+        test.equal($searchInput.attr('aria-expanded'), 'true');
+        test.equal($results.attr('role'), 'listbox');
+        test.equal($searchInput.attr('aria-controls'), $results.attr('id'));
+
+        test.equal($('.selectivity-result-children').attr('role'), 'group');
+        test.equal($('.selectivity-result-item[role="option"]').length, 3);
+        test.equal($('.selectivity-result-item[data-item-id="1"]').attr('aria-selected'), 'false');
+        test.equal($('.selectivity-result-item[data-item-id="3"]').attr('aria-selected'), 'true');
+
+        test.equal($searchInput.attr('aria-activedescendant'),
+                   $('.selectivity-result-item[data-item-id="1"]').attr('id'));
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+
+        test.equal($searchInput.attr('aria-activedescendant'),
+                   $('.selectivity-result-item[data-item-id="2"]').attr('id'));
+
+        $input.selectivity('close');
+
+        var $singleInput = $input.find('.selectivity-single-select-input');
+        test.equal($singleInput.attr('role'), 'combobox');
+        test.equal($singleInput.attr('aria-expanded'), 'false');
+        test.equal($singleInput.attr('aria-activedescendant'), undefined);
+    }
+);
+
+exports.testLiveRegion = DomUtil.createDomTest(
+    ['single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ query: query });
+
+        $input.click();
+
+        var $liveRegion = $input.find('.selectivity-live-region');
+        test.equal($liveRegion.length, 1);
+        test.equal($liveRegion.attr('aria-live'), 'polite');
+        test.equal($liveRegion.text(), '10 results available');
+
+        $('.selectivity-load-more').click();
+
+        test.equal($liveRegion.text(), '20 results available');
+
+        $('.selectivity-search-input').val('xyz').keyup();
+
+        test.equal($liveRegion.text(), 'No results for xyz');
+
+        $input.selectivity('close');
+        $input.selectivity({
+            query: function(options) {
+                options.error('Server <unavailable>');
+            }
+        });
+        $input.click();
+
+        test.equal($liveRegion.text(), 'Server <unavailable>');
+    }
+);
+
+exports.testVirtualScroll = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        var groups = [];
+        for (var i = 0; i < 100; i++) {
+            var children = [];
+            for (var j = 0; j < 10; j++) {
+                children.push({ id: i + '-' + j, text: 'Item ' + i + '-' + j });
+            }
+            groups.push({ text: 'Group ' + i, children: children });
+        }
+
+        $input.selectivity({ items: groups, virtualScroll: true });
+
+        $input.click();
+
+        // without layout the results container has no height, so only the buffer is rendered
+        test.equal($('.selectivity-result-label').length, 1);
+        test.equal($('.selectivity-result-item').length, 9);
+        var $spacers = $('.selectivity-virtual-spacer');
+        test.equal($spacers.last()[0].style.height, (1100 - 10) * 30 + 'px');
+
+        var $searchInput = $('.selectivity-search-input');
+        for (var k = 0; k < 12; k++) {
+            $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+        }
+        test.equal($input[0].selectivity.dropdown.highlightedResult.id, '1-2');
+
+        var results = $('.selectivity-results-container')[0];
+        Object.defineProperty(results, 'scrollTop', { value: 60 * 30, writable: true });
+        $(results).trigger('scroll');
+
+        test.equal($spacers.first()[0].style.height, 50 * 30 + 'px');
+        test.equal($spacers.last()[0].style.height, (1100 - 70) * 30 + 'px');
+        test.equal($('.selectivity-result-children').length, 3);
+        test.equal($('.selectivity-result-label').length, 2);
+        test.equal($('.selectivity-result-item').length, 18);
+        test.equal($('.selectivity-result-item').first().text(), 'Item 4-5');
+        test.equal($('.selectivity-result-children').first().attr('aria-label'), 'Group 4');
+
+        $('.selectivity-result-item[data-item-id="6-1"]').click();
+
+        test.equal($input.selectivity('value'), '6-1');
+    }
+);
+
+exports.testVirtualScrollLoadMore = DomUtil.createDomTest(
+    ['single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ query: query, virtualScroll: true });
+
+        $input.click();
+
+        test.equal($('.selectivity-result-item').length, 10);
+        test.equal($('.selectivity-load-more').length, 1);
+
+        $('.selectivity-load-more').click();
+
+        test.equal($input[0].selectivity.dropdown.results.length, 20);
+        test.equal($('.selectivity-virtual-window').length, 1);
+        test.equal($('.selectivity-load-more').length, 1);
+
+        $('.selectivity-load-more').click();
+
+        test.equal($input[0].selectivity.dropdown.results.length, 25);
+        test.equal($('.selectivity-load-more').length, 0);
+        test.equal($('.selectivity-virtual-spacer').last()[0].style.height, 15 * 30 + 'px');
+    }
+);
+
+exports.testDisabledItems = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: [
+                { id: 1, text: 'Amsterdam', disabled: true },
+                { id: 2, text: 'Antwerp' },
+                { id: 3, text: 'Athens', disabled: true },
+                { id: 4, text: 'Barcelona' }
+            ]
+        });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        var $disabledItems = $('.selectivity-result-item.disabled');
+        test.equal($disabledItems.length, 2);
+        test.equal($disabledItems.first().attr('aria-disabled'), 'true');
+        test.equal($('.selectivity-result-item.highlight').text(), 'Antwerp');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+        test.equal($('.selectivity-result-item.highlight').text(), 'Barcelona');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+        test.equal($('.selectivity-result-item.highlight').text(), 'Antwerp');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 38 }));
+        test.equal($('.selectivity-result-item.highlight').text(), 'Barcelona');
+
+        $('.selectivity-result-item[data-item-id="3"]').trigger('mouseenter');
+        test.equal($('.selectivity-result-item.highlight').text(), 'Barcelona');
+
+        $('.selectivity-result-item[data-item-id="1"]').click();
+        test.equal($input.selectivity('value'), null);
+        test.equal($('.selectivity-dropdown').length, 1);
+
+        $('.selectivity-result-item[data-item-id="2"]').click();
+        test.equal($input.selectivity('value'), 2);
+    }
+);
+
+exports.testCreateItem = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            createItem: function(term) {
+                return { id: term.toLowerCase(), text: term };
+            },
+            items: ['Amsterdam', 'Antwerp', 'Athens']
+        });
+
+        $input.click();
+
+        test.equal($('.selectivity-create-item').length, 0);
+
+        var $searchInput = $('.selectivity-search-input');
+        $searchInput.val('amsterdam').trigger('keyup');
+
+        test.equal($('.selectivity-create-item').length, 0);
+        test.equal($('.selectivity-result-item.highlight').text(), 'Amsterdam');
+
+        $searchInput.val('Am').trigger('keyup');
+
+        test.equal($('.selectivity-create-item').text(), 'Add Am');
+        test.ok($('.selectivity-create-item').hasClass('highlight'));
+        test.equal($('.selectivity-create-item').next().text(), 'Amsterdam');
+        test.equal($searchInput.attr('aria-activedescendant'),
+                   $('.selectivity-create-item').attr('id'));
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+        test.equal($('.selectivity-result-item.highlight').text(), 'Amsterdam');
+        test.ok(!$('.selectivity-create-item').hasClass('highlight'));
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 38 }));
+        test.ok($('.selectivity-create-item').hasClass('highlight'));
+
+        $searchInput.val('Rome').trigger('keyup');
+
+        test.equal($('.selectivity-error').length, 0);
+        test.equal($('.selectivity-create-item').text(), 'Add Rome');
+
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 13 }));
+
+        test.equal($input.selectivity('value'), 'rome');
+        test.deepEqual($input.selectivity('data'), { id: 'rome', text: 'Rome' });
+        test.equal($('.selectivity-dropdown').length, 0);
+    }
+);
+
+exports.testCreateItemAsync = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        var pending = [];
+        $input.selectivity({
+            createItem: function(term) {
+                return {
+                    then: function(resolve, reject) {
+                        pending.push({ reject: reject, resolve: resolve, term: term });
+                    }
+                };
+            },
+            createItemPosition: 'bottom',
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true
+        });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-multiple-input');
+        $searchInput.val('a').trigger('keyup');
+
+        test.equal($('.selectivity-create-item').prev().text(), 'Athens');
+        test.equal($('.selectivity-result-item.highlight').text(), 'Amsterdam');
+
+        $searchInput.val('Rome').trigger('keyup');
+
+        test.ok($('.selectivity-create-item').hasClass('highlight'));
+
+        $('.selectivity-create-item').click();
+
+        test.equal(pending.length, 1);
+        test.equal(pending[0].term, 'Rome');
+        test.equal($('.selectivity-create-item').length, 0);
+        test.equal($('.selectivity-loading').length, 1);
+
+        pending[0].reject(new Error('Server error'));
+
+        test.equal($('.selectivity-loading').length, 0);
+        test.equal($('.selectivity-error').text(), 'Failed to add Rome');
+        test.deepEqual($input.selectivity('value'), []);
+
+        $searchInput.val('Paris').trigger('keyup');
+        $('.selectivity-create-item').click();
+        pending[1].reject('Paris already exists');
+
+        test.equal($('.selectivity-error').text(), 'Paris already exists');
+
+        $searchInput.val('Rome').trigger('keyup');
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 13 }));
+        pending[2].resolve({ id: 42, text: 'Rome' });
+
+        test.deepEqual($input.selectivity('value'), [42]);
+        test.equal($('.selectivity-multiple-selected-item').text(), 'Rome');
+    }
+);
+
+exports.testCreateItemErrors = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        var pending = [];
+        $input.selectivity({
+            createItem: function(term) {
+                if (term === 'Rome') {
+                    throw new Error('Invalid term');
+                }
+                return {
+                    then: function(resolve) {
+                        pending.push(resolve);
+                    }
+                };
+            },
+            items: ['Amsterdam', 'Antwerp', 'Athens']
+        });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        $searchInput.val('Rome').trigger('keyup');
+        $('.selectivity-create-item').click();
+
+        test.equal($('.selectivity-loading').length, 0);
+        test.equal($('.selectivity-error').text(), 'Failed to add Rome');
+        test.equal($input.selectivity('value'), null);
+
+        $searchInput.val('Paris').trigger('keyup');
+        $('.selectivity-create-item').click();
+
+        // an item without ID cannot be processed, which makes selecting it throw
+        pending[0]({ text: 'Paris' });
+
+        test.equal($('.selectivity-loading').length, 0);
+        test.equal($('.selectivity-error').text(), 'Failed to add Paris');
+        test.equal($input.selectivity('value'), null);
+    }
+);
+
+exports.testNavigationKeys = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ query: query });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        function pressKey(keyCode) {
+            $searchInput.trigger(new $.Event('keydown', { keyCode: keyCode }))
+                        .trigger(new $.Event('keyup', { keyCode: keyCode }));
+        }
+        function highlightedText() {
+            return $('.selectivity-result-item.highlight').text();
+        }
+
+        test.equal(highlightedText(), 'Amsterdam');
+
+        pressKey(35);
+        test.equal(highlightedText(), 'Bucharest');
+
+        pressKey(36);
+        test.equal(highlightedText(), 'Amsterdam');
+
+        pressKey(33);
+        test.equal(highlightedText(), 'Amsterdam');
+
+        pressKey(40);
+        pressKey(34);
+        test.equal(highlightedText(), 'Bucharest');
+        test.equal($('.selectivity-result-item').length, 10);
+
+        pressKey(34);
+        test.equal($('.selectivity-result-item').length, 20);
+        test.equal(highlightedText(), 'Budapest');
+
+        pressKey(34);
+        test.equal($('.selectivity-result-item').length, 20);
+        test.equal(highlightedText(), 'Genoa');
+
+        pressKey(34);
+        test.equal($('.selectivity-result-item').length, 25);
+        test.equal(highlightedText(), 'Glasgow');
+
+        pressKey(34);
+        test.equal(highlightedText(), 'Helsinki');
+
+        pressKey(34);
+        test.equal(highlightedText(), 'Helsinki');
+
+        pressKey(33);
+        test.equal(highlightedText(), 'Dresden');
+    }
+);
+
+exports.testWrapAround = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: ['Amsterdam', 'Antwerp', 'Athens'] });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        function pressKey(keyCode) {
+            $searchInput.trigger(new $.Event('keydown', { keyCode: keyCode }));
+        }
+        function highlightedText() {
+            return $('.selectivity-result-item.highlight').text();
+        }
+
+        pressKey(38);
+        test.equal(highlightedText(), 'Athens');
+
+        pressKey(40);
+        test.equal(highlightedText(), 'Amsterdam');
+
+        $input.selectivity('setOptions', { wrapAround: false });
+
+        pressKey(38);
+        test.equal(highlightedText(), 'Amsterdam');
+
+        pressKey(40);
+        pressKey(40);
+        pressKey(40);
+        test.equal(highlightedText(), 'Athens');
+
+        test.throws(function() {
+            $input.selectivity('setOptions', { wrapAround: 'no' });
+        });
+    }
+);
+
+exports.testKeyBindings = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            keyBindings: { 'Ctrl+J': 'highlightNext', Escape: null, Tab: 'select' }
+        });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        $searchInput.trigger(new $.Event('keydown', { ctrlKey: true, keyCode: 74 }));
+        $searchInput.trigger(new $.Event('keyup', { ctrlKey: true, keyCode: 74 }));
+
+        test.equal($('.selectivity-result-item.highlight').text(), 'Antwerp');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 27 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 27 }));
+
+        test.equal($('.selectivity-dropdown').length, 1);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+
+        test.equal($('.selectivity-result-item.highlight').text(), 'Athens');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 9 }));
+
+        test.equal($('.selectivity-dropdown').length, 0);
+        test.equal($input.selectivity('value'), 'Athens');
+
+        test.throws(function() {
+            $input.selectivity('setOptions', { keyBindings: { 'Hyper+Enter': 'select' } });
+        });
+        test.throws(function() {
+            $input.selectivity('setOptions', { keyBindings: { Enter: 'submit' } });
+        });
+    }
+);
+
+exports.testBackspaceInEmptySearchInput = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        var queryCount = 0;
+        $input.selectivity({
+            query: function(queryOptions) {
+                queryCount++;
+                queryOptions.callback({ results: ['Amsterdam', 'Antwerp', 'Athens'] });
+            }
+        });
+
+        $input.click();
+
+        test.equal(queryCount, 1);
+
+        var $searchInput = $('.selectivity-search-input');
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 8 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 8 }));
+
+        test.equal(queryCount, 1);
+        test.equal($('.selectivity-dropdown').length, 1);
+    }
+);
+
+exports.testMultipleSelectionKeyBindings = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            closeOnSelect: false,
+            items: ['Amsterdam', 'Antwerp', 'Athens', 'Berlin'],
+            keyBindings: { 'Ctrl+Backspace': 'removeLast', 'Shift+Enter': 'selectAndNext' },
+            multiple: true
+        });
+
+        var $multipleInput = $input.find('input.selectivity-multiple-input');
+        $multipleInput.click();
+
+        $multipleInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+        $multipleInput.trigger(new $.Event('keyup', { keyCode: 40 }));
+
+        test.equal($('.selectivity-result-item.highlight').text(), 'Antwerp');
+
+        $multipleInput.trigger(new $.Event('keydown', { keyCode: 13, shiftKey: true }));
+        $multipleInput.trigger(new $.Event('keyup', { keyCode: 13, shiftKey: true }));
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp']);
+        test.equal($('.selectivity-result-item.highlight').text(), 'Athens');
+
+        $multipleInput.trigger(new $.Event('keydown', { keyCode: 13, shiftKey: true }));
+        $multipleInput.trigger(new $.Event('keyup', { keyCode: 13, shiftKey: true }));
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens']);
+        test.equal($('.selectivity-result-item.highlight').text(), 'Berlin');
+
+        $multipleInput.trigger(new $.Event('keydown', { ctrlKey: true, keyCode: 8 }));
+        $multipleInput.trigger(new $.Event('keyup', { ctrlKey: true, keyCode: 8 }));
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp']);
+
+        $multipleInput.trigger(new $.Event('keydown', { keyCode: 8 }));
+        $multipleInput.trigger(new $.Event('keyup', { keyCode: 8 }));
+
+        test.deepEqual($input.selectivity('value'), []);
+        test.equal($('.selectivity-dropdown').length, 1);
+    }
+);
+
+exports.testUnboundModifiers = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: ['Amsterdam', 'Antwerp', 'Athens'] });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        $searchInput.trigger(new $.Event('keydown', { ctrlKey: true, keyCode: 13 }));
+        $searchInput.trigger(new $.Event('keyup', { ctrlKey: true, keyCode: 13 }));
+
+        test.equal($input.selectivity('value'), null);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40, shiftKey: true }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 40, shiftKey: true }));
+
+        test.equal($('.selectivity-result-item.highlight').text(), 'Antwerp');
+
+        $searchInput.trigger(new $.Event('keydown', { altKey: true, keyCode: 13 }));
+        $searchInput.trigger(new $.Event('keyup', { altKey: true, keyCode: 13 }));
+
+        test.equal($input.selectivity('value'), 'Antwerp');
+    }
+);
+
+exports.testAutoPositioning = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var win = $input[0].ownerDocument.defaultView;
+        var inputRect = { bottom: win.innerHeight - 20, left: win.innerWidth - 100, top: 0 };
+        $input[0].getBoundingClientRect = function() {
+            return inputRect;
+        };
+
+        $input.css({ height: '30px', width: '250px' });
+        $input.selectivity({ items: items, multiple: true });
+
+        $input.find('input.selectivity-multiple-input').click();
+
+        var $dropdown = $('.selectivity-dropdown');
+        test.ok($dropdown.hasClass('placement-below'));
+        test.equal($dropdown.css('left'), (win.innerWidth - 250) + 'px');
+
+        $dropdown.css('height', '200px');
+        inputRect.top = inputRect.bottom - 30;
+        $(win).trigger('resize');
+
+        test.ok($dropdown.hasClass('placement-above'));
+        test.ok(!$dropdown.hasClass('placement-below'));
+        test.equal($dropdown.css('top'), (inputRect.top - 200) + 'px');
+
+        inputRect = { bottom: 50, left: 10, top: 20 };
+        $input.selectivity('positionDropdown');
+
+        test.ok($dropdown.hasClass('placement-below'));
+        test.equal($dropdown.css('left'), '10px');
+        test.equal($dropdown.css('top'), '50px');
+    }
+);
+
+exports.testRepositionOnScroll = DomUtil.createDomTest(
+    ['single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var positionCount = 0;
+        $input.selectivity({
+            items: items,
+            positionDropdown: function() {
+                positionCount++;
+            }
+        });
+
+        $input.click();
+
+        test.ok(positionCount > 0);
+        positionCount = 0;
+
+        var doc = $input[0].ownerDocument;
+        function scroll(el) {
+            var event = doc.createEvent('HTMLEvents');
+            event.initEvent('scroll', false, false);
+            el.dispatchEvent(event);
+        }
+
+        scroll($('.selectivity-results-container')[0]);
+        scroll($('<div>').appendTo('body')[0]);
+
+        test.equal(positionCount, 0);
+
+        scroll($input.parent()[0]);
+        scroll(doc);
+
+        test.equal(positionCount, 2);
+    }
+);
+
+exports.testDropdownParent = DomUtil.createDomTest(
+    ['single', 'dropdown', 'submenu', 'templates'],
+    function(test, $input, $) {
+        var $container = $('<div class="modal">').appendTo('body');
+
+        $input.selectivity({
+            dropdownParent: '.modal',
+            items: [
+                { id: 1, text: 'Amsterdam' },
+                { id: 2, text: 'Belgium', submenu: { items: ['Antwerp', 'Brussels'] } }
+            ]
+        });
+
+        $input.click();
+
+        test.equal($container.children('.selectivity-dropdown').length, 1);
+
+        $('.selectivity-result-item[data-item-id="2"]').mouseover();
+
+        test.equal($container.children('.selectivity-dropdown').length, 2);
+
+        $('.selectivity-search-input').first().click();
+
+        test.equal($('.selectivity-dropdown').length, 2);
+
+        $('body').click();
+
+        test.equal($('.selectivity-dropdown').length, 0);
+    }
+);
+
+exports.testBackdropInDropdownParent = DomUtil.createDomTest(
+    ['single', 'backdrop', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var $container = $('<div class="modal">').appendTo('body');
+
+        $input.selectivity({ dropdownParent: $container[0], items: ['Amsterdam', 'Antwerp'] });
+
+        $input.click();
+
+        test.equal($container.children('.selectivity-dropdown').length, 1);
+        test.equal($container.children('.selectivity-backdrop').length, 1);
+
+        $('.selectivity-backdrop').click();
+
+        test.equal($('.selectivity-dropdown').length, 0);
+        test.equal($('.selectivity-backdrop').length, 0);
+    }
+);
+
+exports.testFullScreenDropdown = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var closeEvents = 0;
+
+        $input.selectivity({
+            fullScreenDropdown: true,
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true
+        }).on('selectivity-close', function() {
+            closeEvents++;
+        });
+
+        $input.find('input.selectivity-multiple-input').click();
+
+        var $dropdown = $('.selectivity-dropdown');
+        test.ok($dropdown.hasClass('selectivity-sheet'));
+        test.equal($dropdown.find('.selectivity-sheet-header .selectivity-search-input').length, 1);
+        test.equal($dropdown.find('.selectivity-sheet-close').length, 1);
+        test.equal($dropdown.find('.selectivity-sheet-done').length, 1);
+
+        $('.selectivity-search-input').val('At').trigger('keyup');
+
+        test.equal($('.selectivity-result-item').length, 1);
+
+        $('.selectivity-result-item[data-item-id="Athens"]').click();
+
+        test.deepEqual($input.selectivity('value'), ['Athens']);
+        test.equal($input.find('.selectivity-multiple-selected-item').length, 1);
+        test.equal($('.selectivity-dropdown .selectivity-multiple-selected-item').length, 0);
+        test.equal($('.selectivity-dropdown').length, 1);
+        test.equal(closeEvents, 0);
+
+        $('.selectivity-sheet-done').click();
+
+        test.equal($('.selectivity-dropdown').length, 0);
+        test.equal(closeEvents, 1);
+    }
+);
+
+exports.testFullScreenSubmenu = DomUtil.createDomTest(
+    ['single', 'dropdown', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            fullScreenDropdown: true,
+            items: [
+                { id: 1, text: 'Amsterdam' },
+                { id: 2, text: 'Belgium', submenu: { items: ['Antwerp', 'Brussels'] } }
+            ]
+        });
+
+        $input.click();
+
+        test.equal($('.selectivity-sheet-done').length, 0);
+
+        $('.selectivity-result-item[data-item-id="2"]').mouseover();
+
+        test.equal($('.selectivity-sheet').length, 2);
+        test.equal($('.selectivity-sheet').last().find('.selectivity-search-input').length, 1);
+
+        $('.selectivity-sheet-close').last().click();
+
+        test.equal($('.selectivity-sheet').length, 1);
+
+        $('.selectivity-sheet-close').click();
+
+        test.equal($('.selectivity-dropdown').length, 0);
+    }
+);
@@ -0,0 +1,158 @@
+'use strict';
+
+var DomUtil = require('../dom-util');
+
+var items = [
+    'Amsterdam',
+    'Antwerp',
+    {
+        text: 'Deutschland',
+        children: [
+            { id: 'Bremen', text: 'Bremen' },
+            { id: 'Dortmund', text: 'Dortmund' },
+            { id: 'Frankfurt am Main', text: 'Frankfurt am Main' },
+            { id: 'Mannheim', text: 'Mannheim' }
+        ]
+    },
+    'Manchester',
+    'Rotterdam'
+];
+
+exports.testScore = DomUtil.createDomTest(
+    ['fuzzy'],
+    function(test, $input) {
+        var Selectivity = $input.selectivity;
+
+        test.equal(Selectivity.fuzzyScore('amsterdam', 'amsterdam'), 100);
+        test.equal(Selectivity.fuzzyScore('amsterdam', 'am'), 80);
+        test.equal(Selectivity.fuzzyScore('frankfurt am main', 'am'), 60);
+        test.equal(Selectivity.fuzzyScore('rotterdam', 'am'), 40);
+        test.equal(Selectivity.fuzzyScore('rotterdam', 'xyz'), 0);
+        test.equal(Selectivity.fuzzyScore('amsterdam', 'tma'), 0);
+
+        var subsequenceScore = Selectivity.fuzzyScore('amsterdam', 'amstdm');
+        test.ok(subsequenceScore > 0 && subsequenceScore < 40);
+        test.ok(Selectivity.fuzzyScore('frankfurt am main', 'fam') >
+                Selectivity.fuzzyScore('frankfurt', 'fat'));
+    }
+);
+
+exports.testMatcher = DomUtil.createDomTest(
+    ['fuzzy'],
+    function(test, $input) {
+        var Selectivity = $input.selectivity;
+        var deutschland = Selectivity.processItems(items)[2];
+
+        test.deepEqual(Selectivity.fuzzyMatcher({ id: 1, text: 'Amsterdam' }, 'amstdm'),
+                       { id: 1, text: 'Amsterdam' });
+        test.deepEqual(Selectivity.fuzzyMatcher({ id: 1, text: 'Amsterdam' }, 'sma'), null);
+
+        test.equal(Selectivity.fuzzyMatcher(deutschland, 'deut'), deutschland);
+        test.deepEqual(Selectivity.fuzzyMatcher(deutschland, 'man'), {
+            id: undefined,
+            text: 'Deutschland',
+            children: [
+                { id: 'Mannheim', text: 'Mannheim' },
+                { id: 'Frankfurt am Main', text: 'Frankfurt am Main' }
+            ]
+        });
+    }
+);
+
+exports.testFuzzyMatcherOption = DomUtil.createDomTest(
+    ['fuzzy', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: items, matcher: 'fuzzy' });
+
+        $input.click();
+
+        $input.selectivity('search', 'man');
+
+        test.deepEqual($('.selectivity-result-item').map(function() {
+            return $(this).text();
+        }).get(), ['Mannheim', 'Frankfurt am Main', 'Manchester']);
+
+        $input.selectivity('search', 'mnchstr');
+
+        test.deepEqual($('.selectivity-result-item').map(function() {
+            return $(this).text();
+        }).get(), ['Manchester']);
+
+        $input.selectivity('search', 'amstdm');
+
+        test.deepEqual($('.selectivity-result-item').map(function() {
+            return $(this).text();
+        }).get(), ['Amsterdam']);
+        test.equal($('.selectivity-result-item').html(),
+                   '<span class="selectivity-match">Amst</span>er<span class="selectivity-match">' +
+                   'd</span>a<span class="selectivity-match">m</span>');
+
+        $input.selectivity('search', 'dam');
+
+        test.equal($('.selectivity-result-item').first().html(),
+                   'Amster<span class="selectivity-match">dam</span>');
+    }
+);
+
+exports.testMatchRanges = DomUtil.createDomTest(
+    ['fuzzy', 'diacritics'],
+    function(test, $input) {
+        var findMatchRanges = $input.selectivity.fuzzyMatcher.findMatchRanges;
+
+        test.deepEqual(findMatchRanges('Frankfurt am Main', 'am'), [
+            { start: 10, end: 12 }
+        ]);
+        test.deepEqual(findMatchRanges('Frankfurt am Main', 'fam'), [
+            { start: 0, end: 1 },
+            { start: 10, end: 12 }
+        ]);
+        test.deepEqual(findMatchRanges('Zürich', 'zrc'), [
+            { start: 0, end: 1 },
+            { start: 2, end: 3 },
+            { start: 4, end: 5 }
+        ]);
+        test.deepEqual(findMatchRanges('Zürich', 'xyz'), []);
+        test.deepEqual(findMatchRanges('Zürich', ''), []);
+    }
+);
+
+exports.testSwitchMatcher = DomUtil.createDomTest(
+    ['fuzzy', 'single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        function getResultTexts() {
+            return $('.selectivity-result-item').map(function() {
+                return $(this).text();
+            }).get();
+        }
+
+        $input.selectivity({ items: items, matcher: 'fuzzy' });
+
+        $input.click();
+
+        $input.selectivity('search', 'dam');
+
+        test.deepEqual(getResultTexts(), ['Amsterdam', 'Rotterdam']);
+
+        $input.selectivity('search', 'r');
+
+        test.equal(getResultTexts()[0], 'Rotterdam');
+
+        $input.selectivity('setOptions', { matcher: $input.selectivity.matcher });
+        $input.selectivity('search', 'r');
+
+        test.equal(getResultTexts()[0], 'Amsterdam');
+
+        var sortResults = function(results) {
+            return results.slice().reverse();
+        };
+        $input.selectivity('setOptions', { sortResults: sortResults });
+        $input.selectivity('setOptions', { matcher: 'fuzzy' });
+        $input.selectivity('search', 'dam');
+
+        test.deepEqual(getResultTexts(), ['Rotterdam', 'Amsterdam']);
+
+        $input.selectivity('setOptions', { matcher: $input.selectivity.matcher });
+
+        test.equal($input[0].selectivity.options.sortResults, sortResults);
+    }
+);
@@ -0,0 +1,194 @@
+'use strict';
+
+var DomUtil = require('../dom-util');
+
+var items = ['Amsterdam', 'Antwerp', 'Athens', 'Berlin', 'Brussels'];
+
+function getSelectedTexts($) {
+    return $('.selectivity-result-item[aria-selected="true"]').map(function() {
+        return $(this).text();
+    }).get();
+}
+
+exports.testSingleSelection = DomUtil.createDomTest(
+    ['listbox', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var changeEvents = 0;
+
+        $input.selectivity({ inputType: 'Listbox', items: items, value: 'Antwerp' })
+              .on('change', function() {
+                  changeEvents++;
+              });
+
+        test.equal($input.find('.selectivity-dropdown').length, 1);
+        test.equal($('.selectivity-result-item').length, 5);
+        test.equal($('.selectivity-results-container').attr('aria-multiselectable'), 'false');
+        test.deepEqual(getSelectedTexts($), ['Antwerp']);
+
+        $('.selectivity-result-item[data-item-id="Berlin"]').click();
+
+        test.equal($input.selectivity('value'), 'Berlin');
+        test.deepEqual(getSelectedTexts($), ['Berlin']);
+        test.equal($('.selectivity-dropdown').length, 1);
+        test.equal(changeEvents, 1);
+
+        $('body').click();
+
+        test.equal($('.selectivity-dropdown').length, 1);
+
+        $input.selectivity('value', 'Athens');
+
+        test.deepEqual(getSelectedTexts($), ['Athens']);
+        test.equal(changeEvents, 2);
+    }
+);
+
+exports.testMultipleSelection = DomUtil.createDomTest(
+    ['listbox', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ inputType: 'Listbox', items: items, multiple: true });
+
+        function clickItem(id, modifiers) {
+            var $item = $('.selectivity-result-item[data-item-id="' + id + '"]');
+            $item.trigger(new $.Event('mousedown', modifiers)).click();
+        }
+
+        test.deepEqual($input.selectivity('value'), []);
+        test.equal($('.selectivity-results-container').attr('aria-multiselectable'), 'true');
+
+        test.throws(function() {
+            $input.selectivity('setOptions', { multiple: false });
+        });
+        $input.selectivity('setOptions', { multiple: true });
+
+        clickItem('Antwerp');
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp']);
+
+        clickItem('Berlin', { ctrlKey: true });
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Berlin']);
+        test.deepEqual(getSelectedTexts($), ['Antwerp', 'Berlin']);
+
+        clickItem('Athens', { shiftKey: true });
+
+        test.deepEqual($input.selectivity('value'), ['Athens', 'Berlin']);
+
+        clickItem('Amsterdam', { ctrlKey: true, shiftKey: true });
+
+        test.deepEqual($input.selectivity('value'), ['Athens', 'Berlin', 'Amsterdam', 'Antwerp']);
+
+        clickItem('Athens', { metaKey: true });
+
+        test.deepEqual($input.selectivity('value'), ['Berlin', 'Amsterdam', 'Antwerp']);
+
+        clickItem('Brussels');
+
+        test.deepEqual($input.selectivity('value'), ['Brussels']);
+        test.deepEqual($input.selectivity('data'), [{ id: 'Brussels', text: 'Brussels' }]);
+    }
+);
+
+exports.testKeyboardNavigation = DomUtil.createDomTest(
+    ['listbox', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ inputType: 'Listbox', items: items, multiple: true });
+
+        var $list = $('.selectivity-results-container');
+        function pressKey(keyCode, modifiers) {
+            $list.trigger(new $.Event('keydown', $.extend({ keyCode: keyCode }, modifiers)));
+        }
+
+        test.equal($('.selectivity-result-item.highlight').text(), 'Amsterdam');
+
+        pressKey(40);
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp']);
+        test.equal($('.selectivity-result-item.highlight').text(), 'Antwerp');
+        test.equal($list.attr('aria-activedescendant'),
+                   $('.selectivity-result-item.highlight').attr('id'));
+
+        pressKey(40, { shiftKey: true });
+        pressKey(40, { shiftKey: true });
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens', 'Berlin']);
+
+        pressKey(40, { ctrlKey: true });
+
+        test.equal($('.selectivity-result-item.highlight').text(), 'Brussels');
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens', 'Berlin']);
+
+        pressKey(32);
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens', 'Berlin', 'Brussels']);
+
+        pressKey(36);
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam']);
+
+        pressKey(65, { ctrlKey: true });
+
+        test.deepEqual($input.selectivity('value'), items);
+
+        pressKey(13);
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens', 'Berlin', 'Brussels']);
+    }
+);
+
+exports.testSearchInput = DomUtil.createDomTest(
+    ['listbox', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            inputType: 'Listbox',
+            items: items,
+            searchInputPlaceholder: 'Filter cities',
+            showSearchInput: true
+        });
+
+        var $searchInput = $input.find('.selectivity-listbox-search-input');
+        test.equal($searchInput.length, 1);
+        test.equal($searchInput.attr('placeholder'), 'Filter cities');
+        test.equal($searchInput.attr('aria-controls'),
+                   $('.selectivity-results-container').attr('id'));
+
+        $searchInput.val('Br').trigger('keyup');
+
+        test.equal($('.selectivity-result-item').length, 1);
+        test.equal($('.selectivity-result-item.highlight').text(), 'Brussels');
+        test.equal($searchInput.attr('aria-activedescendant'),
+                   $('.selectivity-result-item.highlight').attr('id'));
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 13 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 13 }));
+
+        test.equal($input.selectivity('value'), 'Brussels');
+        test.deepEqual(getSelectedTexts($), ['Brussels']);
+
+        $searchInput.val('Rome').trigger('keyup');
+
+        test.equal($('.selectivity-result-item').length, 0);
+        test.equal($searchInput.attr('aria-activedescendant'), undefined);
+        test.equal($('.selectivity-results-container').attr('aria-activedescendant'), undefined);
+
+        $searchInput.val('').trigger('keyup');
+
+        test.equal($('.selectivity-result-item').length, 5);
+        test.deepEqual(getSelectedTexts($), ['Brussels']);
+    }
+);
+
+exports.testRequireDropdownModule = DomUtil.createDomTest(
+    ['listbox', 'dropdown', 'templates'],
+    function(test, $input) {
+        var Dropdown = $input.selectivity.Dropdown;
+        $input.selectivity.Dropdown = null;
+
+        test.throws(function() {
+            $input.selectivity({ inputType: 'Listbox', items: items });
+        }, /requires the selectivity-dropdown module/);
+        test.equal($input.children().length, 0);
+
+        $input.selectivity.Dropdown = Dropdown;
+    }
+);
@@ -52,3 +52,29 @@ exports.testDiacritics = DomUtil.createDomTest(
                                            { id: 29, text: 'Łódź' });
     }
 );
+
+exports.testFindMatchRanges = DomUtil.createDomTest(
+    [],
+    function(test, $input) {
+        var Selectivity = $input.selectivity;
+
+        test.deepEqual(Selectivity.findMatchRanges('Amsterdam', ''), []);
+        test.deepEqual(Selectivity.findMatchRanges('Amsterdam', 'am'), [
+            { start: 0, end: 2 },
+            { start: 7, end: 9 }
+        ]);
+        test.deepEqual(Selectivity.findMatchRanges('Rotterdam', 'sterdam'), []);
+        test.deepEqual(Selectivity.findMatchRanges('Zürich', 'zur'), []);
+    }
+);
+
+exports.testFindMatchRangesWithDiacritics = DomUtil.createDomTest(
+    ['diacritics'],
+    function(test, $input) {
+        var Selectivity = $input.selectivity;
+
+        test.deepEqual(Selectivity.findMatchRanges('Zürich', 'zur'), [{ start: 0, end: 3 }]);
+        test.deepEqual(Selectivity.findMatchRanges('Łódź', 'odz'), [{ start: 1, end: 4 }]);
+        test.deepEqual(Selectivity.findMatchRanges('Ærø', 'er'), [{ start: 0, end: 2 }]);
+    }
+);
@@ -52,6 +52,24 @@ exports.testClear = DomUtil.createDomTest(
     }
 );
 
+exports.testAnnounceChanges = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true
+        });
+
+        $input.selectivity('add', 'Antwerp');
+
+        test.equal($input.find('.selectivity-live-region').text(), 'Antwerp added');
+
+        $input.selectivity('remove', 'Antwerp');
+
+        test.equal($input.find('.selectivity-live-region').text(), 'Antwerp removed');
+    }
+);
+
 exports.testClickAfterSearch = DomUtil.createDomTest(
     ['multiple', 'dropdown', 'templates'],
     function(test, $input, $) {
@@ -68,6 +86,22 @@ exports.testClickAfterSearch = DomUtil.createDomTest(
     }
 );
 
+exports.testOpenAfterTyping = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens', 'Berlin'],
+            multiple: true
+        });
+
+        $input.find('.selectivity-multiple-input').val('ber').click();
+
+        test.deepEqual($('.selectivity-result-item').map(function() {
+            return $(this).attr('data-item-id');
+        }).get(), ['Berlin']);
+    }
+);
+
 exports.testInitialData = DomUtil.createDomTest(
     ['multiple', 'templates'],
     function(test, $input) {
@@ -111,6 +145,236 @@ exports.testInitialValue = DomUtil.createDomTest(
     }
 );
 
+exports.testMaximumSelectionSize = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'templates', 'tokenizer'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens', 'Barcelona'],
+            maximumSelectionSize: 2,
+            multiple: true,
+            tokenSeparators: [',']
+        });
+
+        var $multipleInput = $input.find('.selectivity-multiple-input');
+        $multipleInput.val('Amsterdam,Antwerp,Athens,').trigger('keyup');
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Antwerp']);
+        test.equal($multipleInput.val(), 'Athens,');
+
+        $input.click();
+
+        test.equal($('.selectivity-result-item').length, 0);
+        test.equal($('.selectivity-error').text(), 'You can only select 2 items');
+
+        $input.selectivity('add', 'Barcelona');
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Antwerp']);
+
+        $input.selectivity('remove', 'Antwerp');
+
+        test.equal($('.selectivity-error').length, 0);
+        test.equal($('.selectivity-result-item').length, 3);
+
+        $('.selectivity-result-item[data-item-id="Athens"]').click();
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Athens']);
+
+        test.throws(function() {
+            $input.selectivity('value', ['Amsterdam', 'Antwerp', 'Athens']);
+        });
+        test.throws(function() {
+            $input.selectivity('data', [
+                { id: 'Amsterdam', text: 'Amsterdam' },
+                { id: 'Antwerp', text: 'Antwerp' },
+                { id: 'Athens', text: 'Athens' }
+            ]);
+        });
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Athens']);
+    }
+);
+
+exports.testMaximumSelectionSizeWithoutTokenizing = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        var tokenizerCalls = 0;
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            maximumSelectionSize: 1,
+            multiple: true,
+            tokenizer: function() {
+                tokenizerCalls++;
+            }
+        });
+
+        $input.click();
+        tokenizerCalls = 0;
+
+        $('.selectivity-result-item[data-item-id="Antwerp"]').click();
+        $input.click();
+
+        test.equal($('.selectivity-error').text(), 'You can only select 1 item');
+
+        tokenizerCalls = 0;
+        $input.selectivity('remove', 'Antwerp');
+
+        test.equal($('.selectivity-result-item').length, 3);
+        test.equal(tokenizerCalls, 0);
+
+        test.throws(function() {
+            $input.selectivity('value', ['Amsterdam', 'Antwerp']);
+        }, /more than 1 item$/);
+    }
+);
+
+exports.testMinimumSelectionSize = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            minimumSelectionSize: 2,
+            multiple: true
+        });
+
+        $input.selectivity('value', ['Amsterdam']);
+        $input.selectivity('add', 'Antwerp');
+        $input.selectivity('add', 'Athens');
+        $input.selectivity('remove', 'Athens');
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Antwerp']);
+
+        $input.selectivity('remove', 'Antwerp');
+        $input.find('.selectivity-multiple-input').trigger(new $.Event('keyup', { keyCode: 8 }));
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Antwerp']);
+
+        $input.selectivity('value', ['Antwerp', 'Athens']);
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens']);
+
+        test.throws(function() {
+            $input.selectivity('value', ['Athens']);
+        }, /at least 2 items$/);
+        test.throws(function() {
+            $input.selectivity('data', []);
+        });
+        test.throws(function() {
+            $input.selectivity('value', null);
+        });
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens']);
+
+        $input.selectivity('clear');
+
+        test.deepEqual($input.selectivity('value'), []);
+        test.deepEqual($input.selectivity('data'), []);
+    }
+);
+
+exports.testNavigateItemsByKeyboard = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            backspaceHighlightsBeforeDelete: false,
+            items: ['Amsterdam', 'Antwerp', 'Athens', 'Barcelona'],
+            multiple: true,
+            value: ['Amsterdam', 'Antwerp', 'Athens', 'Barcelona']
+        });
+
+        var $searchInput = $input.find('input.selectivity-multiple-input');
+        function pressKey(keyCode) {
+            $searchInput.trigger(new $.Event('keydown', { keyCode: keyCode }))
+                        .trigger(new $.Event('keyup', { keyCode: keyCode }));
+        }
+        function highlightedText() {
+            return $input.find('.selectivity-multiple-selected-item.highlighted').text();
+        }
+
+        $searchInput.val('Ber');
+        $searchInput[0].setSelectionRange(3, 3);
+        pressKey(37);
+
+        test.equal(highlightedText(), '');
+
+        $searchInput[0].setSelectionRange(0, 0);
+        pressKey(37);
+
+        test.equal(highlightedText(), 'Barcelona');
+
+        pressKey(37);
+        pressKey(37);
+
+        test.equal(highlightedText(), 'Antwerp');
+
+        pressKey(36);
+
+        test.equal(highlightedText(), 'Amsterdam');
+
+        pressKey(37);
+
+        test.equal(highlightedText(), 'Amsterdam');
+
+        pressKey(35);
+
+        test.equal(highlightedText(), 'Barcelona');
+
+        pressKey(39);
+
+        test.equal(highlightedText(), '');
+
+        pressKey(36);
+        pressKey(39);
+        pressKey(46);
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Athens', 'Barcelona']);
+        test.equal(highlightedText(), '');
+        test.equal($searchInput.val(), 'Ber');
+
+        $searchInput[0].setSelectionRange(0, 0);
+        pressKey(37);
+        pressKey(8);
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Athens']);
+        test.equal($searchInput.val(), 'Ber');
+    }
+);
+
+exports.testNavigateItemsWithKeyboardModule = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true,
+            value: ['Amsterdam', 'Antwerp', 'Athens']
+        });
+
+        var $searchInput = $input.find('input.selectivity-multiple-input');
+        function pressKey(keyCode, modifiers) {
+            var options = $.extend({ keyCode: keyCode }, modifiers);
+            $searchInput.trigger(new $.Event('keydown', options))
+                        .trigger(new $.Event('keyup', options));
+        }
+        function highlightedText() {
+            return $input.find('.selectivity-multiple-selected-item.highlighted').text();
+        }
+
+        $searchInput[0].setSelectionRange(0, 0);
+        pressKey(37);
+
+        test.equal(highlightedText(), 'Athens');
+        test.equal($('.selectivity-dropdown').length, 0);
+
+        pressKey(36);
+
+        test.equal(highlightedText(), 'Amsterdam');
+
+        pressKey(39, { ctrlKey: true });
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Amsterdam', 'Athens']);
+        test.equal(highlightedText(), 'Amsterdam');
+        test.equal($('.selectivity-dropdown').length, 0);
+    }
+);
+
 exports.testNestedData = DomUtil.createDomTest(
     ['multiple', 'templates'],
     function(test, $input) {
@@ -243,3 +507,297 @@ exports.testSetValueWithoutItems = DomUtil.createDomTest(
         test.deepEqual($input.selectivity('value'), ['Antwerp', 'Athens']);
     }
 );
+
+exports.testMove = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input) {
+        var movedEvents = [];
+        var cancelMove = false;
+
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true,
+            value: ['Amsterdam', 'Antwerp', 'Athens']
+        }).on('selectivity-moving', function(event) {
+            if (cancelMove) {
+                event.preventDefault();
+            }
+        }).on('change', function(event) {
+            movedEvents.push(event.moved);
+        });
+
+        $input.selectivity('move', 'Athens', 0);
+
+        test.deepEqual($input.selectivity('value'), ['Athens', 'Amsterdam', 'Antwerp']);
+        test.deepEqual(movedEvents, [
+            { item: { id: 'Athens', text: 'Athens' }, from: 2, to: 0 }
+        ]);
+        test.equal($input.find('.selectivity-multiple-selected-item').text(),
+                   'AthensAmsterdamAntwerp');
+
+        $input.selectivity('move', 'Athens', 3);
+        cancelMove = true;
+        $input.selectivity('move', 'Athens', 1);
+
+        test.deepEqual($input.selectivity('value'), ['Athens', 'Amsterdam', 'Antwerp']);
+        test.equal(movedEvents.length, 1);
+    }
+);
+
+exports.testMoveByDragging = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true,
+            value: ['Amsterdam', 'Antwerp', 'Athens']
+        });
+
+        // lay out the items next to each other, 100 pixels wide
+        $input.find('.selectivity-multiple-selected-item').each(function() {
+            this.getBoundingClientRect = function() {
+                var left = $(this).index() * 100;
+                return { bottom: 30, left: left, right: left + 100, top: 0, width: 100 };
+            };
+        });
+
+        var $document = $($input[0].ownerDocument);
+        $input.find('.selectivity-multiple-selected-item[data-item-id="Amsterdam"]')
+              .trigger(new $.Event('mousedown', { clientX: 50, clientY: 10 }));
+        $document.trigger(new $.Event('mousemove', { clientX: 52, clientY: 10 }));
+
+        test.equal($input.find('.selectivity-multiple-selected-item.dragging').length, 0);
+
+        $document.trigger(new $.Event('mousemove', { clientX: 260, clientY: 10 }));
+
+        test.equal($input.find('.selectivity-multiple-selected-item.dragging').text(),
+                   'Amsterdam');
+        test.equal($input.find('.selectivity-multiple-selected-item').text(),
+                   'AntwerpAthensAmsterdam');
+
+        $document.trigger(new $.Event('mousemove', { clientX: 140, clientY: 10 }));
+        $document.trigger(new $.Event('mouseup', { clientX: 140, clientY: 10 }));
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Amsterdam', 'Athens']);
+        test.equal($input.find('.selectivity-multiple-selected-item').text(),
+                   'AntwerpAmsterdamAthens');
+        test.equal($input.find('.selectivity-multiple-selected-item.dragging').length, 0);
+
+        $input.on('selectivity-moving', function(event) {
+            event.preventDefault();
+        });
+
+        $input.find('.selectivity-multiple-selected-item[data-item-id="Athens"]')
+              .trigger(new $.Event('mousedown', { clientX: 250, clientY: 10 }));
+        $document.trigger(new $.Event('mousemove', { clientX: 10, clientY: 10 }));
+        $document.trigger(new $.Event('mouseup', { clientX: 10, clientY: 10 }));
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Amsterdam', 'Athens']);
+        test.equal($input.find('.selectivity-multiple-selected-item').text(),
+                   'AntwerpAmsterdamAthens');
+    }
+);
+
+exports.testMoveByKeyboard = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true,
+            value: ['Amsterdam', 'Antwerp', 'Athens']
+        });
+
+        var $searchInput = $input.find('input.selectivity-multiple-input');
+        $input.find('.selectivity-multiple-selected-item[data-item-id="Antwerp"]').click();
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 37, ctrlKey: true }));
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Amsterdam', 'Athens']);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 37, ctrlKey: true }));
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Amsterdam', 'Athens']);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 39, ctrlKey: true }));
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 39, ctrlKey: true }));
+
+        test.deepEqual($input.selectivity('value'), ['Amsterdam', 'Athens', 'Antwerp']);
+        test.equal($input.find('.selectivity-multiple-selected-item.highlighted').text(),
+                   'Antwerp');
+        test.equal($input.find('.selectivity-multiple-selected-item').text(),
+                   'AmsterdamAthensAntwerp');
+    }
+);
+
+exports.testCheckboxes = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            checkboxes: true,
+            items: [
+                { id: 1, text: 'Amsterdam' },
+                { text: 'Belgium', children: [
+                    { id: 2, text: 'Antwerp' },
+                    { id: 3, text: 'Brussels', disabled: true },
+                    { id: 4, text: 'Ghent' }
+                ] }
+            ],
+            multiple: true,
+            value: [1]
+        });
+
+        function isChecked(id) {
+            return $('.selectivity-result-item[data-item-id="' + id + '"]')
+                   .attr('aria-selected') === 'true';
+        }
+
+        $input.find('input.selectivity-multiple-input').click();
+
+        test.equal($('.selectivity-result-item').length, 4);
+        test.equal($('.selectivity-result-checkbox').length, 4);
+        test.ok(isChecked(1));
+
+        $('.selectivity-result-item[data-item-id="2"]').click();
+
+        test.deepEqual($input.selectivity('value'), [1, 2]);
+        test.equal($('.selectivity-dropdown').length, 1);
+        test.ok(isChecked(2));
+
+        $('.selectivity-result-item[data-item-id="1"]').click();
+
+        test.deepEqual($input.selectivity('value'), [2]);
+        test.equal($('.selectivity-result-item').length, 4);
+        test.ok(!isChecked(1));
+
+        test.equal($('.selectivity-group-actions').length, 1);
+
+        $('.selectivity-group-select-all').click();
+
+        test.deepEqual($input.selectivity('value'), [2, 4]);
+        test.ok(isChecked(4));
+        test.ok(!isChecked(3));
+
+        $('.selectivity-group-select-none').click();
+
+        test.deepEqual($input.selectivity('value'), []);
+        test.equal($('.selectivity-dropdown').length, 1);
+    }
+);
+
+exports.testSummarizeSelection = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens'],
+            multiple: true,
+            summarizeSelection: 2,
+            value: ['Amsterdam', 'Antwerp']
+        });
+
+        test.equal($input.find('.selectivity-multiple-selected-item').length, 2);
+        test.equal($input.find('.selectivity-multiple-selection-summary').length, 0);
+
+        $input.selectivity('add', 'Athens');
+
+        test.equal($input.find('.selectivity-multiple-selected-item').length, 0);
+        test.equal($input.find('.selectivity-multiple-selection-summary').text(), '3 selected');
+
+        $input.selectivity('remove', 'Amsterdam');
+
+        test.equal($input.find('.selectivity-multiple-selection-summary').length, 0);
+        test.equal($input.find('.selectivity-multiple-selected-item').text(), 'AntwerpAthens');
+    }
+);
+
+exports.testSelectAll = DomUtil.createDomTest(
+    ['multiple', 'templates'],
+    function(test, $input) {
+        var changeEvents = [];
+
+        $input.selectivity({
+            items: [
+                { id: 1, text: 'Amsterdam' },
+                { text: 'Belgium', children: [
+                    { id: 2, text: 'Antwerp' },
+                    { id: 3, text: 'Arlon', disabled: true },
+                    { id: 4, text: 'Brussels' }
+                ] },
+                { id: 5, text: 'Athens' }
+            ],
+            maximumSelectionSize: 3,
+            multiple: true,
+            value: [4]
+        }).on('change', function(event) {
+            changeEvents.push(event);
+        });
+
+        $input.selectivity('selectAll', 'a');
+
+        test.deepEqual($input.selectivity('value'), [4, 1, 2]);
+        test.equal(changeEvents.length, 1);
+        test.deepEqual(changeEvents[0].added, [
+            { id: 1, text: 'Amsterdam' },
+            { id: 2, text: 'Antwerp' }
+        ]);
+        test.equal($input.find('.selectivity-multiple-selected-item').length, 3);
+
+        $input.selectivity('deselectAll', 'an');
+
+        test.deepEqual($input.selectivity('value'), [4, 1]);
+        test.equal(changeEvents.length, 2);
+        test.deepEqual(changeEvents[1].removed, [{ id: 2, text: 'Antwerp' }]);
+        test.equal($input.find('.selectivity-multiple-selected-item').length, 2);
+
+        $input.selectivity('deselectAll', 'x');
+
+        test.equal(changeEvents.length, 2);
+    }
+);
+
+exports.testBulkActions = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        var changeEvents = 0;
+
+        $input.selectivity({
+            bulkActions: true,
+            items: ['Amsterdam', 'Antwerp', 'Athens', 'Berlin'],
+            multiple: true
+        }).on('change', function() {
+            changeEvents++;
+        });
+
+        var $multipleInput = $input.find('.selectivity-multiple-input');
+        $multipleInput.click().val('an').trigger('keyup');
+
+        test.equal($('.selectivity-bulk-actions').length, 1);
+        test.equal($('.selectivity-result-item').length, 1);
+
+        $('.selectivity-select-all').click();
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp']);
+        test.equal(changeEvents, 1);
+
+        $multipleInput.val('a').trigger('keyup');
+        $multipleInput.trigger(
+            new $.Event('keyup', { ctrlKey: true, shiftKey: true, keyCode: 65 })
+        );
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Amsterdam', 'Athens']);
+        test.equal(changeEvents, 2);
+        test.equal($('.selectivity-result-item').length, 0);
+
+        $multipleInput.val('at').trigger('keyup');
+        $('.selectivity-deselect-all').click();
+
+        test.deepEqual($input.selectivity('value'), ['Antwerp', 'Amsterdam']);
+        test.equal($('.selectivity-result-item').text(), 'Athens');
+
+        $multipleInput.val('').trigger('keyup');
+        $multipleInput.trigger(
+            new $.Event('keyup', { ctrlKey: true, shiftKey: true, keyCode: 68 })
+        );
+
+        test.deepEqual($input.selectivity('value'), []);
+        test.equal(changeEvents, 4);
+    }
+);
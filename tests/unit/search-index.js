@@ -0,0 +1,145 @@
+'use strict';
+
+var DomUtil = require('../dom-util');
+
+var items = [
+    'Amsterdam',
+    'Antwerp',
+    'Athens',
+    {
+        text: 'Germany',
+        children: [
+            { id: 'Berlin', text: 'Berlin' },
+            { id: 'Düsseldorf', text: 'Düsseldorf' },
+            { id: 'Frankfurt am Main', text: 'Frankfurt am Main' }
+        ]
+    },
+    {
+        text: 'United Kingdom',
+        children: [
+            { id: 'London', text: 'London' },
+            { id: 'Manchester', text: 'Manchester' }
+        ]
+    },
+    'Rotterdam'
+];
+
+exports.testSameResultsAsMatcher = DomUtil.createDomTest(
+    ['search-index'],
+    function(test, $input) {
+        var Selectivity = $input.selectivity;
+        var processedItems = Selectivity.processItems(items);
+        var searchIndex = new Selectivity.SearchIndex(processedItems);
+
+        ['', 'a', 'am', 'dam', 'erdam', 'er', 'germ', 'n', 'kingdom', 'xyz', 'ster'].forEach(
+            function(term) {
+                test.deepEqual(searchIndex.search(term), processedItems.map(function(item) {
+                    return Selectivity.matcher(item, term);
+                }).filter(function(item) {
+                    return !!item;
+                }), 'Results for "' + term + '" should be equal');
+            }
+        );
+    }
+);
+
+exports.testPrefixAndTokenSearch = DomUtil.createDomTest(
+    ['search-index'],
+    function(test, $input) {
+        var Selectivity = $input.selectivity;
+        var searchIndex = new Selectivity.SearchIndex(Selectivity.processItems(items));
+
+        test.deepEqual(searchIndex.searchPrefix('a'), [
+            { id: 'Amsterdam', text: 'Amsterdam' },
+            { id: 'Antwerp', text: 'Antwerp' },
+            { id: 'Athens', text: 'Athens' }
+        ]);
+        test.deepEqual(searchIndex.searchPrefix('ma'), [{
+            id: undefined,
+            text: 'United Kingdom',
+            children: [{ id: 'Manchester', text: 'Manchester' }]
+        }]);
+
+        test.deepEqual(searchIndex.searchTokens('am'), [
+            { id: 'Amsterdam', text: 'Amsterdam' },
+            {
+                id: undefined,
+                text: 'Germany',
+                children: [{ id: 'Frankfurt am Main', text: 'Frankfurt am Main' }]
+            }
+        ]);
+        test.deepEqual(searchIndex.searchTokens('fr ma'), [{
+            id: undefined,
+            text: 'Germany',
+            children: [{ id: 'Frankfurt am Main', text: 'Frankfurt am Main' }]
+        }]);
+        test.deepEqual(searchIndex.searchTokens('kingdom un').length, 1);
+        test.deepEqual(searchIndex.searchTokens('ter'), []);
+    }
+);
+
+exports.testSearchWithDiacritics = DomUtil.createDomTest(
+    ['diacritics', 'dropdown', 'search-index', 'single', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: items });
+
+        test.ok($input[0].selectivity.searchIndex);
+
+        $input.click();
+        $('.selectivity-search-input').val('dus').keyup();
+
+        test.equal($('.selectivity-result-item').length, 1);
+        test.equal($('.selectivity-result-item').text(), 'Düsseldorf');
+        test.equal($('.selectivity-result-label').text(), 'Germany');
+    }
+);
+
+exports.testCustomMatcher = DomUtil.createDomTest(
+    ['dropdown', 'search-index', 'single', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: items,
+            matcher: function(item, term) {
+                return (item.id && item.id.slice(-term.length).toLowerCase() === term ? item
+                                                                                      : null);
+            }
+        });
+
+        $input.click();
+        $('.selectivity-search-input').val('dam').keyup();
+
+        test.equal($('.selectivity-result-item').length, 2);
+        test.equal($('.selectivity-result-item').last().text(), 'Rotterdam');
+    }
+);
+
+exports.testKeepIndexAfterClosingSubmenu = DomUtil.createDomTest(
+    ['dropdown', 'search-index', 'single', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: [
+                { id: 1, text: 'Amsterdam' },
+                { id: 2, text: 'Germany', submenu: { items: ['Berlin', 'Düsseldorf'] } }
+            ]
+        });
+
+        var selectivity = $input[0].selectivity;
+        var searchIndex = selectivity.searchIndex;
+
+        $input.click();
+        $('.selectivity-result-item[data-item-id="2"]').mouseover();
+
+        test.equal($('.selectivity-dropdown').length, 2);
+        test.notEqual(selectivity.searchIndex, searchIndex);
+
+        $('body').click();
+
+        test.equal($('.selectivity-dropdown').length, 0);
+        test.equal(selectivity.searchIndex, searchIndex);
+
+        $input.click();
+        $('.selectivity-search-input').val('ams').keyup();
+
+        test.equal($('.selectivity-result-item').text(), 'Amsterdam');
+    }
+);
@@ -2,6 +2,30 @@
 
 var DomUtil = require('../dom-util');
 
+exports.testAriaAttributes = DomUtil.createDomTest(
+    ['single', 'dropdown', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: ['Amsterdam', 'Antwerp', 'Athens'] });
+
+        var $singleInput = $input.find('.selectivity-single-select-input');
+        test.equal($singleInput.attr('role'), 'combobox');
+        test.equal($singleInput.attr('aria-expanded'), 'false');
+
+        $input.selectivity('open');
+
+        var resultsId = $('.selectivity-results-container').attr('id');
+        test.ok(resultsId);
+        test.equal($singleInput.attr('aria-expanded'), 'true');
+        test.equal($singleInput.attr('aria-controls'), resultsId);
+        test.equal($('.selectivity-search-input').attr('aria-controls'), resultsId);
+
+        $input.selectivity('close');
+
+        test.equal($singleInput.attr('aria-expanded'), 'false');
+        test.equal($singleInput.attr('aria-controls'), undefined);
+    }
+);
+
 exports.testClear = DomUtil.createDomTest(
     ['single', 'templates'],
     function(test, $input) {
@@ -190,6 +214,76 @@ exports.testNoSearchInput = DomUtil.createDomTest(
     }
 );
 
+exports.testTypeAheadInClosedInput = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens', 'Berlin', 'Brussels'],
+            showSearchInputInDropdown: false
+        });
+
+        var $singleInput = $input.find('.selectivity-single-select-input');
+        function typeCharacter(character) {
+            var charCode = character.charCodeAt(0);
+            $singleInput.trigger(new $.Event('keypress', { which: charCode }));
+            $singleInput.trigger(new $.Event('keyup', { keyCode: charCode }));
+        }
+
+        typeCharacter('b');
+
+        test.equal($input.selectivity('value'), 'Berlin');
+        test.equal($('.selectivity-dropdown').length, 0);
+
+        typeCharacter('r');
+
+        test.equal($input.selectivity('value'), 'Brussels');
+        test.equal($singleInput.val(), '');
+    }
+);
+
+exports.testTypeAheadInDropdownWithoutSearchInput = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({
+            items: ['Amsterdam', 'Antwerp', 'Athens', 'Berlin', 'Brussels'],
+            showSearchInputInDropdown: false
+        });
+
+        $input.selectivity('open');
+
+        var $singleInput = $input.find('.selectivity-single-select-input');
+        function typeCharacter(character) {
+            var charCode = character.charCodeAt(0);
+            $singleInput.trigger(new $.Event('keypress', { which: charCode }));
+            $singleInput.trigger(new $.Event('keyup', { keyCode: charCode }));
+        }
+        function highlightedText() {
+            return $('.selectivity-result-item.highlight').text();
+        }
+
+        test.equal(highlightedText(), 'Amsterdam');
+
+        typeCharacter('a');
+        test.equal(highlightedText(), 'Antwerp');
+
+        typeCharacter('a');
+        test.equal(highlightedText(), 'Athens');
+
+        typeCharacter('a');
+        test.equal(highlightedText(), 'Amsterdam');
+
+        typeCharacter('n');
+        test.equal(highlightedText(), 'Amsterdam');
+
+        test.equal($('.selectivity-dropdown').length, 1);
+        test.equal($input.selectivity('value'), null);
+
+        $singleInput.trigger(new $.Event('keyup', { keyCode: 13 }));
+
+        test.equal($input.selectivity('value'), 'Amsterdam');
+    }
+);
+
 exports.testSelectNestedItemByKeyboard = DomUtil.createDomTest(
     ['single', 'dropdown', 'keyboard', 'templates'],
     function(test, $input, $) {
@@ -68,6 +68,30 @@ exports.testSelectItemInSubmenu = DomUtil.createDomTest(
     }
 );
 
+exports.testNavigationKeysInSubmenu = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: items });
+
+        $input.click();
+
+        $('.selectivity-result-item[data-item-id="4"]').mouseover();
+
+        test.equal($('.selectivity-dropdown').length, 2);
+
+        var $searchInput = $('.selectivity-search-input').first();
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 35 }));
+
+        test.equal($('.selectivity-dropdown').last().find('.highlight').text(), 'Sixth Item');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 36 }));
+
+        test.equal($('.selectivity-dropdown').last().find('.highlight').text(), 'Fifth Item');
+        test.equal($('.selectivity-dropdown').first().find('.highlight').text(),
+                   'Second Submenu');
+    }
+);
+
 exports.testSetValue = DomUtil.createDomTest(
     ['single', 'dropdown', 'submenu', 'templates'],
     function(test, $input) {
@@ -113,3 +137,177 @@ exports.testSearchInputInSubmenuInMultiSelectInput = DomUtil.createDomTest(
         test.deepEqual($input.selectivity('value'), [2]);
     }
 );
+
+exports.testAriaAttributesInSubmenu = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'keyboard', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: items, multiple: true });
+
+        $input.find('.selectivity-multiple-input').click();
+
+        var $multipleInput = $input.find('.selectivity-multiple-input');
+        test.equal($multipleInput.attr('aria-expanded'), 'true');
+
+        $('.selectivity-result-item[data-item-id="3"]').mouseover();
+
+        var $submenuItem = $('.selectivity-result-item[data-item-id="3-1"]');
+        test.equal($multipleInput.attr('aria-activedescendant'), $submenuItem.attr('id'));
+        test.equal($multipleInput.attr('aria-controls'),
+                   $submenuItem.closest('.selectivity-results-container').attr('id'));
+
+        $('.selectivity-result-item[data-item-id="3-1"]').click();
+
+        test.deepEqual($input.selectivity('value'), ['3-1']);
+    }
+);
+
+exports.testOpenAndCloseSubmenuWithArrowKeys = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: items });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 39 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 39 }));
+
+        test.equal($('.selectivity-dropdown').length, 1);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 35 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 35 }));
+
+        test.equal($('.selectivity-dropdown').length, 1);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 39 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 39 }));
+
+        test.equal($('.selectivity-dropdown').length, 2);
+        test.equal($('.selectivity-dropdown').last().find('.highlight').text(), 'Fifth Item');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 40 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 40 }));
+
+        test.equal($('.selectivity-dropdown').last().find('.highlight').text(), 'Sixth Item');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 37 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 37 }));
+
+        test.equal($('.selectivity-dropdown').length, 1);
+        test.equal($('.selectivity-dropdown .highlight').text(), 'Second Submenu');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 39 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 39 }));
+
+        test.equal($('.selectivity-dropdown').length, 2);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 13 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 13 }));
+
+        test.equal($('.selectivity-dropdown').length, 0);
+        test.deepEqual($input.selectivity('data'), { id: '4-1', text: 'Fifth Item' });
+    }
+);
+
+exports.testArrowKeysInRightToLeftLayout = DomUtil.createDomTest(
+    ['single', 'dropdown', 'keyboard', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.css('direction', 'rtl').selectivity({ items: items });
+
+        $input.click();
+
+        var $searchInput = $('.selectivity-search-input');
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 35 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 35 }));
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 39 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 39 }));
+
+        test.equal($('.selectivity-dropdown').length, 1);
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 37 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 37 }));
+
+        test.equal($('.selectivity-dropdown').length, 2);
+        test.equal($('.selectivity-dropdown').last().find('.highlight').text(), 'Fifth Item');
+
+        $searchInput.trigger(new $.Event('keydown', { keyCode: 39 }));
+        $searchInput.trigger(new $.Event('keyup', { keyCode: 39 }));
+
+        test.equal($('.selectivity-dropdown').length, 1);
+        test.equal($('.selectivity-dropdown .highlight').text(), 'Second Submenu');
+    }
+);
+
+exports.testRestoreSearchTermAfterClosingSubmenu = DomUtil.createDomTest(
+    ['multiple', 'dropdown', 'keyboard', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.selectivity({ items: items, multiple: true });
+
+        var $multipleInput = $input.find('input.selectivity-multiple-input');
+        $multipleInput.click();
+
+        $multipleInput.val('submenu').trigger(new $.Event('keyup', { keyCode: 85 }));
+
+        test.equal($('.selectivity-result-item').length, 2);
+        test.equal($('.selectivity-dropdown .highlight').text(), 'First Submenu');
+
+        $multipleInput.trigger(new $.Event('keydown', { keyCode: 39 }));
+        $multipleInput.trigger(new $.Event('keyup', { keyCode: 39 }));
+
+        test.equal($('.selectivity-dropdown').length, 2);
+        test.equal($('.selectivity-dropdown').last().find('.highlight').text(), 'Third Item');
+        test.equal($multipleInput.val(), '');
+
+        $multipleInput.val('fourth').trigger(new $.Event('keyup', { keyCode: 72 }));
+
+        test.equal($('.selectivity-dropdown').last().find('.selectivity-result-item').text(),
+                   'Fourth Item');
+
+        $multipleInput[0].setSelectionRange(6, 6);
+        $multipleInput.trigger(new $.Event('keydown', { keyCode: 37 }));
+        $multipleInput.trigger(new $.Event('keyup', { keyCode: 37 }));
+
+        test.equal($('.selectivity-dropdown').length, 2);
+
+        $multipleInput[0].setSelectionRange(0, 0);
+        $multipleInput.trigger(new $.Event('keydown', { keyCode: 37 }));
+        $multipleInput.trigger(new $.Event('keyup', { keyCode: 37 }));
+
+        test.equal($('.selectivity-dropdown').length, 1);
+        test.equal($multipleInput.val(), 'submenu');
+        test.equal($('.selectivity-dropdown .highlight').text(), 'First Submenu');
+
+        $multipleInput.val('submenu').trigger(new $.Event('keyup', { keyCode: 85 }));
+
+        test.equal($('.selectivity-result-item').length, 2);
+        test.deepEqual($input.selectivity('value'), []);
+    }
+);
+
+exports.testSubmenuPlacement = DomUtil.createDomTest(
+    ['single', 'dropdown', 'submenu', 'templates'],
+    function(test, $input, $) {
+        $input.css('width', '250px').selectivity({ items: items });
+
+        $input.click();
+
+        var win = $input[0].ownerDocument.defaultView;
+        var $dropdown = $('.selectivity-dropdown');
+        $dropdown[0].getBoundingClientRect = function() {
+            return { bottom: 200, left: win.innerWidth - 300, right: win.innerWidth - 50, top: 0 };
+        };
+
+        $('.selectivity-result-item[data-item-id="3"]').mouseover();
+
+        test.ok($('.selectivity-dropdown').last().hasClass('placement-left'));
+
+        $('.selectivity-result-item[data-item-id="3-1"]').click();
+
+        $input.click();
+
+        $('.selectivity-result-item[data-item-id="3"]').mouseover();
+
+        test.ok($('.selectivity-dropdown').last().hasClass('placement-right'));
+    }
+);
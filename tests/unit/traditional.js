@@ -57,3 +57,29 @@ exports.testInitializationMultiple = DomUtil.createDomTest(
         test.equal($options.last().val(), '4');
     }
 );
+
+exports.testDisabledOptions = DomUtil.createDomTest(
+    ['single', 'templates', 'traditional'],
+    { indexResource: 'testcase-traditional-disabled.html' },
+    function(test, $input) {
+        $input.selectivity();
+
+        test.deepEqual($input[0].selectivity.items, [
+            { id: '1', text: 'One' },
+            { id: '2', text: 'Two', disabled: true },
+            {
+                text: 'More',
+                children: [
+                    { id: '3', text: 'Three' },
+                    { id: '4', text: 'Four', disabled: true }
+                ]
+            },
+            {
+                text: 'Even more',
+                children: [
+                    { id: '5', text: 'Five', disabled: true }
+                ]
+            }
+        ]);
+    }
+);